@@ -31,6 +31,59 @@ class RefRedis {
     return `${this.prefix}all_wallets`;
   }
 
+  scanCursorKey() {
+    return `${this.prefix}scan_cursor`;
+  }
+
+  transactionKey(hash) {
+    return `${this.prefix}tx:${hash.toLowerCase()}`;
+  }
+
+  walletTransactionsKey(wallet) {
+    return `${this.prefix}wallet_txs:${wallet.toLowerCase()}`;
+  }
+
+  backfillKey(fromBlock, toBlock) {
+    return `${this.prefix}backfill:${fromBlock}:${toBlock}`;
+  }
+
+  backfillFailedKey(fromBlock, toBlock) {
+    return `${this.prefix}backfill_failed:${fromBlock}:${toBlock}`;
+  }
+
+  retryBlocksKey() {
+    return `${this.prefix}retry_blocks`;
+  }
+
+  retryAttemptsKey() {
+    return `${this.prefix}retry_attempts`;
+  }
+
+  positionKey(wallet, token) {
+    return `${this.prefix}position:${wallet.toLowerCase()}:${token.toLowerCase()}`;
+  }
+
+  walletPositionsKey(wallet) {
+    return `${this.prefix}positions:${wallet.toLowerCase()}`;
+  }
+
+  pnlTradesKey(wallet) {
+    return `${this.prefix}pnl_trades:${wallet.toLowerCase()}`;
+  }
+
+  notifiedKey(hash) {
+    return `${this.prefix}notified:${hash.toLowerCase()}`;
+  }
+
+  messageKey(key) {
+    return `${this.prefix}msg:${key.toLowerCase()}`;
+  }
+
+  /** 代币信息不加前缀，所有实例共用 */
+  tokenKey(address) {
+    return `token:${address.toLowerCase()}`;
+  }
+
   generateId() {
     // 简单 id 生成方式：时间戳 + 随机
     return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
@@ -199,6 +252,250 @@ class RefRedis {
     return await this.redis.sMembers(this.allWalletsKey());
   }
 
+  /** 读取扫描进度（最后一个已完整处理的区块号） */
+  async getScanCursor() {
+    await this.connect();
+    const value = await this.redis.get(this.scanCursorKey());
+    return value ? parseInt(value) : null;
+  }
+
+  /** 保存扫描进度 */
+  async setScanCursor(blockNumber) {
+    await this.connect();
+    await this.redis.set(this.scanCursorKey(), blockNumber.toString());
+  }
+
+  /** 保存解析后的交易，并按区块号索引到相关钱包 */
+  async saveTransaction(tx, wallets = []) {
+    await this.connect();
+    const json = JSON.stringify(tx, (key, value) =>
+      typeof value === "bigint" ? value.toString() : value
+    );
+    await this.redis.set(this.transactionKey(tx.hash), json);
+    for (const wallet of wallets) {
+      await this.redis.zAdd(this.walletTransactionsKey(wallet), {
+        score: tx.blockNumber,
+        value: tx.hash.toLowerCase(),
+      });
+    }
+  }
+
+  /** 查询已保存的交易 */
+  async getTransaction(hash) {
+    await this.connect();
+    const json = await this.redis.get(this.transactionKey(hash));
+    return json ? JSON.parse(json) : null;
+  }
+
+  /** 查询钱包的交易哈希（按区块号倒序） */
+  async getWalletTransactions(wallet, limit = 20) {
+    await this.connect();
+    return await this.redis.zRange(this.walletTransactionsKey(wallet), 0, limit - 1, { REV: true });
+  }
+
+  /** 读取回填进度（最后一个已完成的区块号） */
+  async getBackfillProgress(fromBlock, toBlock) {
+    await this.connect();
+    const value = await this.redis.get(this.backfillKey(fromBlock, toBlock));
+    return value ? parseInt(value) : null;
+  }
+
+  /** 保存回填进度 */
+  async setBackfillProgress(fromBlock, toBlock, blockNumber) {
+    await this.connect();
+    await this.redis.set(this.backfillKey(fromBlock, toBlock), blockNumber.toString());
+  }
+
+  /** 清除回填进度（包括失败的区块） */
+  async clearBackfillProgress(fromBlock, toBlock) {
+    await this.connect();
+    await this.redis.del(this.backfillKey(fromBlock, toBlock));
+    await this.redis.del(this.backfillFailedKey(fromBlock, toBlock));
+  }
+
+  /** 记录回填失败的区块，再次回填同一区间时重试 */
+  async addBackfillFailedBlocks(fromBlock, toBlock, blocks) {
+    if (blocks.length === 0) {
+      return;
+    }
+    await this.connect();
+    await this.redis.sAdd(this.backfillFailedKey(fromBlock, toBlock), blocks.map(String));
+  }
+
+  /** 查询回填失败的区块（升序） */
+  async getBackfillFailedBlocks(fromBlock, toBlock) {
+    await this.connect();
+    const blocks = await this.redis.sMembers(this.backfillFailedKey(fromBlock, toBlock));
+    return blocks.map(Number).sort((a, b) => a - b);
+  }
+
+  /** 移除已重新回填成功的区块 */
+  async removeBackfillFailedBlock(fromBlock, toBlock, blockNumber) {
+    await this.connect();
+    await this.redis.sRem(this.backfillFailedKey(fromBlock, toBlock), blockNumber.toString());
+  }
+
+  /** 加入重试队列（已在队列中则更新下次重试时间） */
+  async scheduleRetryBlock(blockNumber, nextAttemptAt) {
+    await this.connect();
+    await this.redis.zAdd(this.retryBlocksKey(), {
+      score: nextAttemptAt,
+      value: blockNumber.toString(),
+    });
+  }
+
+  /** 查询到期需要重试的区块 */
+  async getDueRetryBlocks(now, limit = 10) {
+    await this.connect();
+    const blocks = await this.redis.zRangeByScore(this.retryBlocksKey(), 0, now, {
+      LIMIT: { offset: 0, count: limit },
+    });
+    return blocks.map((block) => parseInt(block));
+  }
+
+  /** 重试次数加一，返回累计次数 */
+  async incrRetryAttempts(blockNumber) {
+    await this.connect();
+    return await this.redis.hIncrBy(this.retryAttemptsKey(), blockNumber.toString(), 1);
+  }
+
+  /** 从重试队列移除 */
+  async removeRetryBlock(blockNumber) {
+    await this.connect();
+    await this.redis.zRem(this.retryBlocksKey(), blockNumber.toString());
+    await this.redis.hDel(this.retryAttemptsKey(), blockNumber.toString());
+  }
+
+  /** 重试队列中的区块数 */
+  async countRetryBlocks() {
+    await this.connect();
+    return await this.redis.zCard(this.retryBlocksKey());
+  }
+
+  /** 读取缓存的代币信息 */
+  async getTokenInfo(address) {
+    await this.connect();
+    const obj = await this.redis.hGetAll(this.tokenKey(address));
+    if (!obj || Object.keys(obj).length === 0) {
+      return null;
+    }
+    return {
+      name: obj.name,
+      symbol: obj.symbol,
+      decimals: parseInt(obj.decimals),
+      override: obj.override === "1",
+    };
+  }
+
+  /** 保存代币信息（override 表示手动修正，不会被链上数据覆盖） */
+  async setTokenInfo(address, info) {
+    await this.connect();
+    await this.redis.hSet(this.tokenKey(address), {
+      name: info.name,
+      symbol: info.symbol,
+      decimals: info.decimals.toString(),
+      override: info.override ? "1" : "0",
+    });
+  }
+
+  /** 删除缓存的代币信息 */
+  async removeTokenInfo(address) {
+    await this.connect();
+    await this.redis.del(this.tokenKey(address));
+  }
+
+  /** 读取钱包某个代币的持仓 */
+  async getPosition(wallet, token) {
+    await this.connect();
+    const obj = await this.redis.hGetAll(this.positionKey(wallet, token));
+    if (!obj || Object.keys(obj).length === 0) {
+      return null;
+    }
+    return {
+      token: token.toLowerCase(),
+      symbol: obj.symbol,
+      amount: parseFloat(obj.amount),
+      costBnb: parseFloat(obj.costBnb),
+      costUsd: parseFloat(obj.costUsd),
+      realizedBnb: parseFloat(obj.realizedBnb),
+      realizedUsd: parseFloat(obj.realizedUsd),
+      buys: parseInt(obj.buys),
+      sells: parseInt(obj.sells),
+    };
+  }
+
+  /** 保存钱包某个代币的持仓，并加入钱包的持仓列表；传入 tradeId 时在同一事务中标记该笔买卖已计入 */
+  async setPosition(wallet, token, position, tradeId = null) {
+    await this.connect();
+    const multi = this.redis.multi();
+    multi.hSet(this.positionKey(wallet, token), {
+      symbol: position.symbol,
+      amount: position.amount.toString(),
+      costBnb: position.costBnb.toString(),
+      costUsd: position.costUsd.toString(),
+      realizedBnb: position.realizedBnb.toString(),
+      realizedUsd: position.realizedUsd.toString(),
+      buys: position.buys.toString(),
+      sells: position.sells.toString(),
+    });
+    multi.sAdd(this.walletPositionsKey(wallet), token.toLowerCase());
+    if (tradeId) {
+      multi.sAdd(this.pnlTradesKey(wallet), tradeId.toLowerCase());
+    }
+    await multi.exec();
+  }
+
+  /** 查询钱包的所有持仓 */
+  async getWalletPositions(wallet) {
+    await this.connect();
+    const tokens = await this.redis.sMembers(this.walletPositionsKey(wallet));
+    const positions = [];
+    for (const token of tokens) {
+      const position = await this.getPosition(wallet, token);
+      if (position) {
+        positions.push(position);
+      }
+    }
+    return positions;
+  }
+
+  /** 某笔买卖（交易哈希:序号）是否已计入持仓 */
+  async isPnlTrade(wallet, tradeId) {
+    await this.connect();
+    return await this.redis.sIsMember(this.pnlTradesKey(wallet), tradeId.toLowerCase());
+  }
+
+  /** 读取交易的推送状态: pending（已推送待确认） / sent（已推送完成），未推送为 null */
+  async getNotified(hash) {
+    await this.connect();
+    return await this.redis.get(this.notifiedKey(hash));
+  }
+
+  /** 保存交易的推送状态，只需覆盖重启后回放的区块，过期自动删除 */
+  async setNotified(hash, status, ttlSeconds = 86400) {
+    await this.connect();
+    await this.redis.set(this.notifiedKey(hash), status, { EX: ttlSeconds });
+  }
+
+  /** 清除交易的推送状态（交易被回滚后可重新推送） */
+  async clearNotified(hash) {
+    await this.connect();
+    await this.redis.del(this.notifiedKey(hash));
+  }
+
+  /** 保存已发送消息的ID，重启后仍可编辑或回复 */
+  async setMessageId(key, chatId, messageId, ttlSeconds = 86400) {
+    await this.connect();
+    await this.redis.set(this.messageKey(key), JSON.stringify({ chatId, messageId }), { EX: ttlSeconds });
+  }
+
+  /** 查询已发送消息的ID */
+  async getMessageId(key) {
+    await this.connect();
+    const json = await this.redis.get(this.messageKey(key));
+    return json ? JSON.parse(json) : null;
+  }
+
   /** 获取完整节点信息 */
   async getNodeInfo(wallet) {
     await this.connect();
@@ -1,6 +1,12 @@
 const fs = require('fs');
 const path = require('path');
 const RefRedis = require('./db/redis');
+const BlockScanner = require('./process/scan');
+const MessageTemplates = require('./notify/text');
+const TgBot = require('./notify/bot');
+const TokenCache = require('./process/token');
+const SelectorRegistry = require('./process/selectors');
+const Logger = require('./utils/logger');
 require('dotenv').config();
 
 const prefix = 'new_wallet:';
@@ -10,10 +16,11 @@ const prefix = 'new_wallet:';
  * 用于向Redis数据库添加监控数据，支持从JSON文件批量导入
  */
 class DatabaseExecutor {
-    constructor() {
+    constructor(redisPrefix = prefix) {
+        this.prefix = redisPrefix;
         this.redis = new RefRedis({ 
             url: process.env.REDIS_URL || 'redis://127.0.0.1:6379' 
-        }, prefix);
+        }, redisPrefix);
     }
 
     /**
@@ -233,6 +240,231 @@ class DatabaseExecutor {
         }
     }
 
+    /**
+     * 回填历史区块: 扫描区块区间内监控地址的交易并保存到数据库
+     * 进度按区块区间保存，中断后再次执行同一区间会从上次完成的区块继续，
+     * 处理失败的区块单独记录，再次执行时先重试这些区块
+     * @param {number} fromBlock - 起始区块号
+     * @param {number} toBlock - 结束区块号
+     * @param {Object} options - 选项
+     * @param {number} options.concurrency - 最多同时处理的区块数
+     * @param {string} options.strategy - 扫描策略: blocks / logs
+     * @param {string} options.notifyChatId - 完成后发送汇总消息的聊天ID（不提供则不发送）
+     * @param {boolean} options.restart - 忽略已保存的进度，从头开始
+     */
+    async backfill(fromBlock, toBlock, options = {}) {
+        const concurrency = options.concurrency || 5;
+        const chunkSize = concurrency * 10; // 每完成一段保存一次进度
+        
+        if (isNaN(fromBlock) || isNaN(toBlock) || fromBlock > toBlock) {
+            throw new Error(`区块区间无效: ${fromBlock} - ${toBlock}`);
+        }
+        
+        const wallets = await this.redis.getAllWallets();
+        if (wallets.length === 0) {
+            console.log('❌ 暂无监控地址，无需回填');
+            return;
+        }
+        
+        if (options.restart) {
+            await this.redis.clearBackfillProgress(fromBlock, toBlock);
+        }
+        
+        const progress = await this.redis.getBackfillProgress(fromBlock, toBlock);
+        const retryBlocks = await this.redis.getBackfillFailedBlocks(fromBlock, toBlock);
+        let startBlock = progress ? progress + 1 : fromBlock;
+        if (startBlock > toBlock && retryBlocks.length === 0) {
+            console.log(`ℹ️ 区间 ${fromBlock} - ${toBlock} 已回填完成（使用 --restart 重新回填）`);
+            return;
+        }
+        if (progress) {
+            console.log(`⏩ 从上次进度继续: 区块 ${startBlock}`);
+        }
+        
+        const scanner = new BlockScanner(process.env.RPC_URL || 'https://dragon.maiko.icu/bsc2h', new Logger('backfill'));
+        scanner.processor.tokenCache.setRedis(this.redis);
+        wallets.forEach(wallet => scanner.addWatchedAddress(wallet));
+        scanner.setConfig({ strategy: options.strategy || 'blocks' });
+        
+        const watched = new Set(scanner.getWatchedAddresses());
+        // 每次扫描前清空，只记录本次扫描失败的区块
+        const attemptFailed = new Set();
+        scanner.on('blockFailed', ({ blockNumber }) => attemptFailed.add(blockNumber));
+        
+        const failedBlocks = new Set(); // 本次回填新出现的失败区块
+        const retryFailedBlocks = new Set(); // 上次失败、重试仍失败的区块
+        
+        const summary = {
+            totalTransactions: 0,
+            bnbTransfers: 0,
+            tokenTransfers: 0
+        };
+        
+        const saveResults = async (results) => {
+            for (const tx of results) {
+                await this.redis.saveTransaction(tx, this.getInvolvedWallets(tx, watched));
+                
+                summary.totalTransactions++;
+                if (tx.transactionType === 'bnb_transfer') {
+                    summary.bnbTransfers++;
+                }
+                if (tx.erc20Changes.length > 0) {
+                    summary.tokenTransfers++;
+                }
+            }
+        };
+        
+        // 先重试上次回填失败的区块，成功后从失败列表中移除
+        if (retryBlocks.length > 0) {
+            console.log(`🔁 重试上次失败的 ${retryBlocks.length} 个区块`);
+            for (const blockNumber of retryBlocks) {
+                attemptFailed.clear();
+                await saveResults(await scanner.scanRange(blockNumber, blockNumber, 1));
+                if (attemptFailed.has(blockNumber)) {
+                    retryFailedBlocks.add(blockNumber);
+                } else {
+                    await this.redis.removeBackfillFailedBlock(fromBlock, toBlock, blockNumber);
+                }
+            }
+        }
+        
+        if (startBlock <= toBlock) {
+            console.log(`📦 开始回填区块 ${startBlock} - ${toBlock}，监控地址 ${wallets.length} 个，并发 ${concurrency}，策略 ${options.strategy || 'blocks'}`);
+        }
+        
+        while (startBlock <= toBlock) {
+            const endBlock = Math.min(startBlock + chunkSize - 1, toBlock);
+            attemptFailed.clear();
+            const results = await scanner.scanRange(startBlock, endBlock, concurrency);
+            await saveResults(results);
+            
+            // 失败的区块先记录下来再保存进度，再次执行时重试
+            const chunkFailed = [...attemptFailed].filter(blockNumber => blockNumber >= startBlock && blockNumber <= endBlock);
+            chunkFailed.forEach(blockNumber => failedBlocks.add(blockNumber));
+            await this.redis.addBackfillFailedBlocks(fromBlock, toBlock, chunkFailed);
+            await this.redis.setBackfillProgress(fromBlock, toBlock, endBlock);
+            
+            const done = endBlock - fromBlock + 1;
+            const total = toBlock - fromBlock + 1;
+            console.log(`📈 进度: ${((done / total) * 100).toFixed(1)}% (${done}/${total}) - 本段 ${results.length} 笔交易`);
+            
+            startBlock = endBlock + 1;
+        }
+        
+        console.log(`\n📊 回填完成: 共保存 ${summary.totalTransactions} 笔交易`);
+        if (retryBlocks.length > 0) {
+            console.log(`🔁 重试上次失败的区块: ${retryBlocks.length - retryFailedBlocks.size} 个成功，${retryFailedBlocks.size} 个仍失败`);
+        }
+        if (failedBlocks.size > 0) {
+            console.log(`⚠️ ${failedBlocks.size} 个区块处理失败，未能回填: ${[...failedBlocks].sort((a, b) => a - b).join(', ')}`);
+        }
+        if (failedBlocks.size > 0 || retryFailedBlocks.size > 0) {
+            console.log(`ℹ️ 失败的区块已记录，再次执行同一区间时会重试`);
+        }
+        
+        if (options.notifyChatId) {
+            const message = MessageTemplates.batchSummary({
+                blockRange: `${fromBlock} - ${toBlock}`,
+                totalTransactions: summary.totalTransactions,
+                bnbTransfers: summary.bnbTransfers,
+                tokenTransfers: summary.tokenTransfers,
+                newWallets: 0
+            });
+            await new TgBot().sendHtmlImmediate(options.notifyChatId, message);
+            console.log(`📤 已发送汇总消息: ${options.notifyChatId}`);
+        }
+    }
+
+    /**
+     * 查看或修正代币信息缓存
+     * @param {string} tokenAddress - 代币合约地址
+     * @param {Object} options - 选项
+     * @param {Object} options.override - 要手动修正的字段 { name, symbol, decimals }
+     * @param {boolean} options.refresh - 清除缓存和修正，重新从链上查询
+     */
+    async token(tokenAddress, options = {}) {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(tokenAddress)) {
+            throw new Error(`代币地址无效: ${tokenAddress}`);
+        }
+        
+        const logger = new Logger('token');
+        const provider = BlockScanner.createProvider(process.env.RPC_URL || 'https://dragon.maiko.icu/bsc2h', logger);
+        const cache = new TokenCache(provider, logger, this.redis);
+        
+        try {
+            let info;
+            if (options.refresh) {
+                info = await cache.refresh(tokenAddress);
+                console.log('🔄 已重新从链上查询');
+            } else if (options.override && Object.keys(options.override).length > 0) {
+                info = await cache.setOverride(tokenAddress, options.override);
+                console.log(`✏️ 已保存手动修正（运行中的监控在 ${cache.memoryTtl / 60000} 分钟内生效）`);
+            } else {
+                info = await cache.get(tokenAddress);
+            }
+            
+            console.log(`🪙 代币: ${tokenAddress.toLowerCase()}`);
+            console.log(`   名称: ${info.name}`);
+            console.log(`   符号: ${info.symbol}`);
+            console.log(`   小数位: ${info.decimals}`);
+            console.log(`   来源: ${info.override ? '手动修正' : '链上查询'}`);
+        } finally {
+            provider.destroy();
+        }
+    }
+
+    /**
+     * 管理本地方法签名库或自定义错误签名库
+     * @param {string} action - add: 添加签名; lookup: 查询选择器或调用数据
+     * @param {string} value - 函数签名 / 选择器 / 调用数据
+     * @param {boolean} errors - 是否操作自定义错误签名库（data/errors.json）
+     */
+    selector(action, value, errors = false) {
+        const registry = errors
+            ? new SelectorRegistry(path.join(__dirname, '../data/errors.json'))
+            : new SelectorRegistry();
+        
+        if (action === 'add') {
+            const result = registry.add(value);
+            console.log(result.added
+                ? `✅ 已添加: ${result.selector} -> ${result.signature}`
+                : `ℹ️ 签名已存在: ${result.selector} -> ${result.signature}`);
+        } else if (action === 'lookup') {
+            const decoded = registry.decode(value);
+            if (!decoded) {
+                console.log(`❌ 签名库中没有该选择器: ${value.slice(0, 10)}`);
+                return;
+            }
+            console.log(`🔎 ${value.slice(0, 10).toLowerCase()} -> ${decoded.signature}`);
+            if (decoded.args && value.length > 10) {
+                decoded.args.forEach((arg, index) => console.log(`   [${index}] ${JSON.stringify(arg)}`));
+            }
+        } else {
+            throw new Error(`未知操作: ${action}`);
+        }
+    }
+
+    /**
+     * 获取交易涉及的监控地址
+     * @param {Object} tx - 解析后的交易
+     * @param {Set} watched - 监控地址集合（小写）
+     * @returns {Array<string>} 涉及的监控地址
+     */
+    getInvolvedWallets(tx, watched) {
+        const involved = new Set();
+        const addresses = [tx.from, tx.to];
+        tx.erc20Changes.forEach(change => addresses.push(change.from, change.to));
+        tx.nftChanges.forEach(change => addresses.push(change.from, change.to));
+        tx.bnbChange.internal.forEach(transfer => addresses.push(transfer.to));
+        
+        for (const address of addresses) {
+            if (address && watched.has(address.toLowerCase())) {
+                involved.add(address.toLowerCase());
+            }
+        }
+        return Array.from(involved);
+    }
+
     /**
      * 显示当前配置
      */
@@ -244,8 +476,22 @@ class DatabaseExecutor {
             // 显示环境变量配置
             console.log(`🔧 新钱包识别: ${process.env.ENABLE_NEW_WALLET_DETECTION !== 'false' ? '✅ 已启用' : '❌ 已禁用'}`);
             console.log(`📡 RPC URL: ${process.env.RPC_URL || 'https://dragon.maiko.icu/bsc2h'}`);
+            console.log(`🔌 WebSocket URL: ${process.env.WS_RPC_URL || '未设置'}`);
+            console.log(`👀 内存池监听: ${process.env.WATCH_PENDING === 'true' ? '✅ 已启用' : '❌ 已禁用'}`);
+            console.log(`📡 扫描模式: ${process.env.SCAN_MODE || (/^wss?:\/\//i.test(process.env.RPC_URL || '') ? 'push' : 'poll')}`);
+            console.log(`🙈 隐藏失败交易: ${process.env.HIDE_FAILED_TRANSACTIONS === 'true' ? '✅ 已启用' : '❌ 已禁用'}`);
+            console.log(`🧾 原始转账明细: ${process.env.SHOW_TRANSFER_DETAILS === 'true' ? '✅ 已启用' : '❌ 已禁用'}`);
+            console.log(`💵 美元价值: ${process.env.SHOW_USD_VALUE === 'true' ? '✅ 已启用' : '❌ 已禁用'}`);
+            console.log(`💵 最小推送价值: $${process.env.MIN_USD_VALUE || '0'}`);
+            console.log(`💵 新钱包识别门槛: ${process.env.NEW_WALLET_MIN_USD ? `$${process.env.NEW_WALLET_MIN_USD}` : '按代币数量 (baseToken)'}`);
+            console.log(`💰 持仓盈亏统计: ${process.env.TRACK_PNL !== 'false' ? '✅ 已启用' : '❌ 已禁用'}`);
+            console.log(`🚀 新币买入提醒: ${parseInt(process.env.EARLY_BUY_MAX_AGE) > 0 ? `上线 ${process.env.EARLY_BUY_MAX_AGE} 分钟内` : '❌ 已禁用'}`);
+            console.log(`🎁 包装原生币: ${process.env.WRAPPED_NATIVE_TOKENS || '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c (WBNB)'}`);
+            console.log(`🧭 扫描策略: ${process.env.SCAN_STRATEGY || 'blocks'}`);
             console.log(`⏱️ 扫描间隔: ${process.env.SCAN_INTERVAL || '3000'}ms`);
             console.log(`📦 批次大小: ${process.env.BATCH_SIZE || '5'} 个区块`);
+            console.log(`⏪ 最大补扫区块数: ${process.env.MAX_CATCH_UP_BLOCKS || '1200'} 个区块`);
+            console.log(`🧱 确认区块数: ${process.env.CONFIRMATIONS || '0'} (${process.env.CONFIRMATION_MODE || 'wait'})`);
             console.log(`💰 最小金额: ${process.env.MIN_VALUE || '0.000'} BNB`);
             console.log(`💬 聊天ID: ${process.env.CHAT_ID || '未设置'}`);
             console.log(`🧵 线程ID: ${process.env.THREAD_ID || '未设置'}`);
@@ -255,6 +501,7 @@ class DatabaseExecutor {
             const wallets = await this.redis.getAllWallets();
             console.log(`\n📊 数据库统计:`);
             console.log(`   监控地址数量: ${wallets.length}`);
+            console.log(`   扫描进度: ${await this.redis.getScanCursor() || '未记录'}`);
             
             if (wallets.length > 0) {
                 console.log(`   地址列表:`);
@@ -276,7 +523,7 @@ class DatabaseExecutor {
         console.log(`
 🔧 数据库执行器使用说明
 
-命令格式: node src/exe.js <命令> [参数]
+命令格式: node src/exe.js <命令> [参数] [--prefix <数据库前缀>]
 
 可用命令:
   add <wallet> <name> [refer]     - 添加单个监控地址
@@ -286,6 +533,17 @@ class DatabaseExecutor {
   remove <wallet>                - 删除指定监控地址
   clear                          - 清空所有监控数据
   config                         - 显示当前配置
+  backfill <from> <to>           - 回填区块区间内监控地址的历史交易
+      [--concurrency <n>]          同时处理的区块数（默认5）
+      [--strategy blocks|logs]     扫描策略: 完整区块 / Transfer日志（更快，不含纯BNB转账）
+      [--notify [chatId]]          完成后发送汇总消息（默认使用 CHAT_ID）
+      [--restart]                  忽略已保存的进度，从头回填
+  token <address>                - 查看代币信息缓存
+      [--symbol <s>] [--name <n>] [--decimals <d>]  手动修正（不会被链上数据覆盖）
+      [--refresh]                  清除缓存和修正，重新从链上查询
+  selector add <signature>       - 添加函数签名到本地签名库，如 "transfer(address,uint256)"
+  selector lookup <data>         - 查询选择器或解析调用数据
+      [--errors]                   操作自定义错误签名库（解析失败原因），如 "TooLittleReceived()"
   help                           - 显示帮助信息
 
 示例:
@@ -295,6 +553,8 @@ class DatabaseExecutor {
   node src/exe.js export backup/wallets.json
   node src/exe.js list
   node src/exe.js remove 0x1234...
+  node src/exe.js backfill 40000000 40001000 --prefix wallet: --notify
+  node src/exe.js token 0x9f8f72aa9304c8b593d555f12ef6589cc3a579a2 --symbol MKR
 
 JSON文件格式:
 [
@@ -313,11 +573,39 @@ JSON文件格式:
     }
 }
 
+/**
+ * 从参数列表中取出选项（取出后从列表中移除）
+ * @param {Array<string>} args - 参数列表
+ * @param {string} name - 选项名，如 --prefix
+ * @param {boolean} hasValue - 选项是否带值
+ * @returns {string|boolean|null} 选项值；不带值的选项返回是否存在
+ */
+function takeOption(args, name, hasValue = true) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return hasValue ? null : false;
+    }
+    
+    if (!hasValue) {
+        args.splice(index, 1);
+        return true;
+    }
+    
+    const value = args[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+        args.splice(index, 1);
+        return '';
+    }
+    args.splice(index, 2);
+    return value;
+}
+
 /**
  * 主程序入口
  */
 async function main() {
     const args = process.argv.slice(2);
+    const redisPrefix = takeOption(args, '--prefix') || prefix;
     
     if (args.length === 0) {
         console.log('❌ 请提供命令参数');
@@ -326,7 +614,7 @@ async function main() {
     }
 
     const command = args[0];
-    const executor = new DatabaseExecutor();
+    const executor = new DatabaseExecutor(redisPrefix);
 
     try {
         await executor.init();
@@ -376,6 +664,53 @@ async function main() {
                 await executor.showConfig();
                 break;
 
+            case 'backfill': {
+                const concurrency = parseInt(takeOption(args, '--concurrency')) || 5;
+                const strategy = takeOption(args, '--strategy') || 'blocks';
+                const notify = takeOption(args, '--notify');
+                const restart = takeOption(args, '--restart', false);
+                
+                if (args.length < 3) {
+                    console.error('❌ 用法: backfill <from> <to> [--prefix <p>] [--concurrency <n>] [--strategy blocks|logs] [--notify [chatId]] [--restart]');
+                    process.exit(1);
+                }
+                await executor.backfill(parseInt(args[1]), parseInt(args[2]), {
+                    concurrency,
+                    strategy,
+                    notifyChatId: notify === null ? null : (notify || process.env.CHAT_ID),
+                    restart
+                });
+                break;
+            }
+
+            case 'token': {
+                const override = {};
+                const symbol = takeOption(args, '--symbol');
+                const name = takeOption(args, '--name');
+                const decimals = takeOption(args, '--decimals');
+                const refresh = takeOption(args, '--refresh', false);
+                if (symbol) override.symbol = symbol;
+                if (name) override.name = name;
+                if (decimals) override.decimals = parseInt(decimals);
+                
+                if (args.length < 2 || (decimals && isNaN(override.decimals))) {
+                    console.error('❌ 用法: token <address> [--symbol <s>] [--name <n>] [--decimals <d>] [--refresh]');
+                    process.exit(1);
+                }
+                await executor.token(args[1], { override, refresh });
+                break;
+            }
+
+            case 'selector': {
+                const errors = takeOption(args, '--errors', false);
+                if (args.length < 3 || !['add', 'lookup'].includes(args[1])) {
+                    console.error('❌ 用法: selector add <signature> | selector lookup <selector|calldata> [--errors]');
+                    process.exit(1);
+                }
+                executor.selector(args[1], args[2], errors);
+                break;
+            }
+
             case 'help':
                 executor.showHelp();
                 break;
@@ -2,6 +2,8 @@ const { ethers } = require('ethers');
 const RefRedis = require('./db/redis');
 const TgBot = require('./notify/bot');
 const BlockScanner = require('./process/scan');
+const ScanHub = require('./process/hub');
+const PositionLedger = require('./process/ledger');
 const MessageTemplates = require('./notify/text');
 const { getIsCexDict } = require('./utils');
 const Logger = require('./utils/logger');
@@ -13,6 +15,10 @@ require('dotenv').config();
  */
 class WalletMonitor {
     constructor(options = {}) {
+        // RPC 节点: 支持逗号分隔的多个节点，其中的 WebSocket 节点默认用于订阅
+        const rpcUrls = BlockScanner.parseProviderUrls(options.rpcUrls || process.env.RPC_URL || 'https://dragon.maiko.icu/bsc2h');
+        const rpcWsUrl = rpcUrls.find(url => BlockScanner.isWebSocketUrl(url)) || null;
+        
         // 配置
         this.config = {
             chatId: options.chatId || process.env.CHAT_ID || '-4940120432',
@@ -22,6 +28,22 @@ class WalletMonitor {
             minValue: ethers.parseEther(options.minValue || process.env.MIN_VALUE || '0.000'), // 最小交易金额
             enableNewWalletDetection: options.enableNewWalletDetection !== false, // 新钱包识别开关，默认开启
             redisPrefix: options.redisPrefix || 'wallet:', // 数据库前缀，用于数据隔离
+            rpcUrls, // RPC 节点列表
+            maxCatchUpBlocks: parseInt(options.maxCatchUpBlocks || process.env.MAX_CATCH_UP_BLOCKS) || 1200, // 重启后最多补扫的区块数
+            confirmations: parseInt(options.confirmations || process.env.CONFIRMATIONS) || 0, // 确认区块数，0表示出块即推送
+            confirmationMode: options.confirmationMode || process.env.CONFIRMATION_MODE || 'wait', // wait: 达到确认数后推送; pending: 先推送待确认，确认后编辑消息
+            watchPending: options.watchPending ?? process.env.WATCH_PENDING === 'true', // 是否监听内存池中的待打包交易
+            wsUrl: options.wsUrl || process.env.WS_RPC_URL || rpcWsUrl, // 新区块/内存池订阅使用的 WebSocket 节点
+            scanMode: options.scanMode || process.env.SCAN_MODE || (rpcWsUrl ? 'push' : 'poll'), // push: 订阅新区块触发扫描; poll: 定时轮询
+            scanStrategy: options.scanStrategy || process.env.SCAN_STRATEGY || 'blocks', // blocks: 获取完整区块; logs: 按 Transfer 日志只获取命中的交易（共享 hub 时以 hub 配置为准）
+            pendingTimeout: parseInt(options.pendingTimeout || process.env.PENDING_TIMEOUT) || 600000, // 待打包交易超过该时间(ms)未打包则检查是否被丢弃
+            hideFailed: options.hideFailed ?? process.env.HIDE_FAILED_TRANSACTIONS === 'true', // 是否隐藏监控地址发起的失败交易
+            showTransferDetails: options.showTransferDetails ?? process.env.SHOW_TRANSFER_DETAILS === 'true', // 是否在净变化之外展示每一笔原始转账
+            showUsdValue: options.showUsdValue ?? process.env.SHOW_USD_VALUE === 'true', // 是否按 PancakeSwap 池子价格显示美元价值（默认关闭）
+            minUsdValue: parseFloat(options.minUsdValue || process.env.MIN_USD_VALUE) || 0, // 收发总价值低于该美元金额的交易不推送（无法计价时照常推送）
+            newWalletMinUsd: parseFloat(options.newWalletMinUsd || process.env.NEW_WALLET_MIN_USD) || 0, // 新钱包识别的美元门槛，设置后代替 baseToken 的数量门槛
+            trackPnl: options.trackPnl ?? process.env.TRACK_PNL !== 'false', // 是否按兑换记录统计持仓和盈亏
+            earlyBuyMaxAge: parseInt(options.earlyBuyMaxAge ?? process.env.EARLY_BUY_MAX_AGE ?? '0'), // 买入上线不足该分钟数的新币时额外提醒，0 表示关闭（默认）
         };
 
         this.config.baseToken = [
@@ -45,27 +67,64 @@ class WalletMonitor {
         
         // 初始化组件
         this.redis = new RefRedis({ url: process.env.REDIS_URL || 'redis://127.0.0.1:6379' }, this.config.redisPrefix);
-        this.bot = new TgBot();
+        this.bot = new TgBot(this.redis); // 消息ID按实例前缀保存，重启后仍可编辑
 
         // 初始化日志器
         this.logger = new Logger(options.instanceName);
-        this.scanner = new BlockScanner(process.env.RPC_URL || 'https://dragon.maiko.icu/bsc2h', this.logger);
+        
+        // 扫描中心: 传入共享的 hub 时与其他实例共用扫描器，否则单独创建
+        this.ownsHub = !options.hub;
+        this.hub = options.hub || new ScanHub({
+            rpcUrls: this.config.rpcUrls,
+            scanInterval: this.config.scanInterval,
+            batchSize: this.config.batchSize,
+            scanMode: this.config.scanMode,
+            scanStrategy: this.config.scanStrategy,
+            wsUrl: this.config.wsUrl,
+            redis: this.redis,
+            logger: this.logger
+        });
+        this.scanner = this.hub.scanner;
+        
+        // 扫描策略属于扫描器，共享 hub 时只能使用 hub 的配置
+        if (!this.ownsHub) {
+            if (options.scanStrategy && options.scanStrategy !== this.hub.config.scanStrategy) {
+                this.logger.warn(`⚠️ 共享扫描中心使用 ${this.hub.config.scanStrategy} 策略，忽略实例配置的 ${options.scanStrategy}（请在 ScanHub 上配置 scanStrategy）`);
+            }
+            this.config.scanStrategy = this.hub.config.scanStrategy;
+        }
+        
+        // 持仓账本（按实例前缀保存）
+        this.ledger = new PositionLedger(this.redis, this.scanner.processor.prices, this.logger);
         
         // 状态
         this.isRunning = false;
         this.lastProcessedBlock = 0;
+        this.startBlock = 0; // 本次启动时的扫描进度，之前的区块不属于本实例
         this.startTime = Date.now();
         this.stats = {
             processedBlocks: 0,
             foundTransactions: 0,
             sentNotifications: 0,
-            newWalletsAdded: 0
+            newWalletsAdded: 0,
+            revertedTransactions: 0,
+            pendingAlerts: 0,
+            retriedBlocks: 0,
+            skippedBlocks: 0,
+            approvalAlerts: 0,
+            earlyBuyAlerts: 0
         };
         
         // 监控地址缓存
         this.monitoredAddresses = new Set();
         this.addressNames = new Map(); // 地址 -> 名称映射
         
+        // 等待确认的交易: 交易哈希 -> { tx, analysis, blockNumber, notified }
+        this.awaitingConfirmation = new Map();
+        
+        // 内存池提醒: 交易哈希 -> { tx, walletName, seenAt }
+        this.pendingAlerts = new Map();
+        
     }
 
     /**
@@ -86,30 +145,24 @@ class WalletMonitor {
             await this.loadMonitoredAddresses();
             this.logger.success(`已加载 ${this.monitoredAddresses.size} 个监控地址`);
             
-            // 获取最新区块号
-            this.lastProcessedBlock = await this.scanner.getLatestBlockNumber();
-            this.logger.success(`当前最新区块: ${this.lastProcessedBlock}`);
+            // 获取最新区块号，并从数据库恢复扫描进度
+            const latestBlock = await this.scanner.getLatestBlockNumber();
+            this.logger.success(`当前最新区块: ${latestBlock}`);
+            this.lastProcessedBlock = await this.restoreScanCursor(latestBlock);
+            this.startBlock = this.lastProcessedBlock;
             
-            // 设置扫描器配置
-            this.scanner.setConfig({
-                minValue: this.config.minValue,
-                maxValue: ethers.parseEther('10000'),
-                delay: 100
-            });
-            
-            // 添加监控地址到扫描器
-            this.monitoredAddresses.forEach(address => {
-                this.scanner.addWatchedAddress(address);
-            });
-            
-            // 启动监控循环
+            // 注册到扫描中心（监控地址加入扫描器），共享的 hub 由调用方统一启动
             this.isRunning = true;
-            this.startMonitoringLoop();
+            this.hub.register(this);
+            if (this.ownsHub) {
+                await this.hub.start();
+            }
             
             this.logger.success('钱包监控系统启动成功');
             this.logger.log(`🔧 新钱包识别: ${this.config.enableNewWalletDetection ? '✅ 已启用' : '❌ 已禁用'}`);
             this.logger.log(`🗄️ 数据库前缀: ${this.config.redisPrefix}`);
             this.logger.log(`💬 聊天ID: ${this.config.chatId}`);
+            this.logger.log(`🧱 确认区块数: ${this.config.confirmations} (${this.config.confirmationMode})`);
             
         } catch (error) {
             this.logger.error('启动失败:', error.message);
@@ -124,6 +177,10 @@ class WalletMonitor {
     async stop() {
         this.logger.log('🛑 正在停止钱包监控系统...');
         this.isRunning = false;
+        this.hub.unregister(this);
+        if (this.ownsHub) {
+            await this.hub.stop();
+        }
         
         // 发送停止通知
         const uptime = this.getUptime();
@@ -173,63 +230,365 @@ class WalletMonitor {
     }
 
     /**
-     * 启动监控循环
+     * 恢复扫描进度
+     * 从数据库读取上次处理到的区块，补扫停机期间的区块（最多 maxCatchUpBlocks 个）
+     * @param {number} latestBlock - 当前最新区块号
+     * @returns {Promise<number>} 本次启动的起始已处理区块号
      */
-    async startMonitoringLoop() {
-        while (this.isRunning) {
-            try {
-                await this.scanNewBlocks();
-                await this.sleep(this.config.scanInterval);
-            } catch (error) {
-                this.logger.error('监控循环错误:', error.message);
-                await this.sendErrorNotification(error);
-                await this.sleep(5000); // 错误后等待5秒再继续
-            }
+    async restoreScanCursor(latestBlock) {
+        const savedBlock = await this.redis.getScanCursor();
+
+        if (!savedBlock) {
+            this.logger.log(`📍 未找到扫描进度，从最新区块开始: ${latestBlock}`);
+            return latestBlock;
+        }
+
+        if (savedBlock >= latestBlock) {
+            this.logger.log(`📍 扫描进度已是最新: ${savedBlock}`);
+            return savedBlock;
+        }
+
+        const missedBlocks = latestBlock - savedBlock;
+        const replayBlocks = Math.min(missedBlocks, this.config.maxCatchUpBlocks);
+        const skippedBlocks = missedBlocks - replayBlocks;
+
+        if (skippedBlocks > 0) {
+            this.logger.warn(`⚠️ 停机期间共 ${missedBlocks} 个区块，超出补扫上限，跳过最早的 ${skippedBlocks} 个区块`);
+        }
+        this.logger.log(`⏪ 从区块 ${latestBlock - replayBlocks + 1} 开始补扫 ${replayBlocks} 个区块`);
+
+        try {
+            const message = MessageTemplates.catchUp({
+                savedBlock,
+                latestBlock,
+                replayBlocks,
+                skippedBlocks
+            });
+            await this.bot.sendHtml(this.config.chatId, message, this.config.threadId);
+        } catch (error) {
+            this.logger.error('❌ 发送补扫通知失败:', error.message);
         }
+
+        return latestBlock - replayBlocks;
     }
 
     /**
-     * 扫描新区块
+     * 处理扫描中心分发的扫描结果
+     * 只处理本实例扫描进度之后的区块，并按本实例的监控地址和金额下限过滤交易
+     * @param {Array} results - 扫描到的交易（所有实例监控地址的并集）
+     * @param {number|null} startBlock - 起始区块号，没有新区块时为 null
+     * @param {number|null} endBlock - 结束区块号，没有新区块时为 null
+     * @param {number} currentBlock - 当前最新区块号
      */
-    async scanNewBlocks() {
-        try {
-            const currentBlock = await this.scanner.getLatestBlockNumber();
-            
-            if (currentBlock <= this.lastProcessedBlock) {
-                return; // 没有新区块
-            }
-            
-            const startBlock = this.lastProcessedBlock + 1;
-            const totalBlocksToProcess = currentBlock - this.lastProcessedBlock;
-            
-            // 如果落后太多区块，使用更大的批次大小
-            let batchSize = this.config.batchSize;
-            if (totalBlocksToProcess > 20) {
-                batchSize = Math.min(20, totalBlocksToProcess); // 最多并行处理20个区块
-                this.logger.log(`⚡ 检测到落后 ${totalBlocksToProcess} 个区块，使用并行处理 (批次大小: ${batchSize})`);
-            }
-            
-            const endBlock = Math.min(currentBlock, startBlock + batchSize - 1);
-            
-            this.logger.log(`🔍 扫描区块 ${startBlock} - ${endBlock} (共 ${endBlock - startBlock + 1} 个区块)`);
-            
-            // 并行扫描区块
-            const results = await this.scanner.scanBlockRangeParallel(startBlock, endBlock);
+    async handleScanResults(results, startBlock, endBlock, currentBlock) {
+        if (!this.isRunning) {
+            return;
+        }
+        
+        await this.checkPendingAlerts();
+        
+        if (endBlock !== null && endBlock > this.lastProcessedBlock) {
+            const fromBlock = Math.max(startBlock, this.lastProcessedBlock + 1);
+            const transactions = results.filter(tx => tx.blockNumber >= fromBlock && this.isRelevantTransaction(tx));
             
-            if (results.length > 0) {
-                this.logger.log(`📊 找到 ${results.length} 笔相关交易`);
-                await this.processTransactions(results);
+            if (transactions.length > 0) {
+                this.logger.log(`📊 找到 ${transactions.length} 笔相关交易`);
+                await this.processTransactions(transactions);
             }
             
             // 更新状态
             this.lastProcessedBlock = endBlock;
-            this.stats.processedBlocks += (endBlock - startBlock + 1);
-            this.stats.foundTransactions += results.length;
+            this.stats.processedBlocks += (endBlock - fromBlock + 1);
+            this.stats.foundTransactions += transactions.length;
+        }
+        
+        // 检查等待确认的交易
+        await this.checkConfirmations(currentBlock);
+        
+        // 持久化扫描进度，重启后从这里继续（不越过仍在等待确认的交易）
+        try {
+            await this.redis.setScanCursor(this.getSafeCursor());
+        } catch (error) {
+            this.logger.warn('⚠️ 保存扫描进度失败:', error.message);
+        }
+    }
+
+    /**
+     * 处理重试成功的区块中的交易
+     * @param {number} blockNumber - 区块号
+     * @param {Array} results - 扫描到的交易
+     */
+    async handleRetriedBlock(blockNumber, results) {
+        // 本实例启动前或尚未扫描到的区块不处理
+        if (!this.isRunning || blockNumber <= this.startBlock || blockNumber > this.lastProcessedBlock) {
+            return;
+        }
+        
+        const transactions = results.filter(tx => this.isRelevantTransaction(tx));
+        if (transactions.length > 0) {
+            this.logger.log(`📊 重试区块 ${blockNumber} 找到 ${transactions.length} 笔相关交易`);
+            await this.processTransactions(transactions);
+        }
+        
+        this.stats.retriedBlocks++;
+        this.stats.foundTransactions += transactions.length;
+    }
+
+    /**
+     * 发送区块多次重试失败、已跳过的提醒
+     * @param {number} blockNumber - 区块号
+     * @param {number} retries - 重试次数
+     */
+    async sendSkippedBlockAlert(blockNumber, retries) {
+        if (blockNumber <= this.startBlock) {
+            return;
+        }
+        
+        try {
+            const message = MessageTemplates.blockSkipped({ blockNumber, retries });
+            await this.bot.sendHtml(this.config.chatId, message, this.config.threadId);
+            this.stats.skippedBlocks++;
+            this.stats.sentNotifications++;
+        } catch (error) {
+            this.logger.error('❌ 发送跳过区块提醒失败:', error.message);
+        }
+    }
+
+    /**
+     * 给收发记录和兑换记录标注美元价值（按交易所在区块的池子价格）
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     * @returns {Promise<number|null>} 净收发的美元总价值，有记录无法计价时为 null
+     */
+    async valueTransfers(tx, analysis) {
+        const prices = this.scanner.processor.prices;
+        const value = async item => {
+            item.usdValue = await prices.getValue(item.type === 'bnb' ? null : item.tokenAddress, item.formattedValue, tx.blockNumber);
+            return item.usdValue;
+        };
+        
+        let total = 0;
+        for (const item of [...analysis.received, ...analysis.sent]) {
+            const usdValue = await value(item);
+            total = total === null || usdValue === null ? null : total + usdValue;
+        }
+        
+        for (const item of [...(analysis.legs?.received || []), ...(analysis.legs?.sent || [])]) {
+            await value(item);
+        }
+        
+        // 兑换按支出一侧计价，无法计价时使用收入一侧
+        for (const swap of analysis.swaps) {
+            swap.usdValue = await prices.getValue(swap.tokenIn.tokenAddress, swap.tokenIn.amount, tx.blockNumber)
+                ?? await prices.getValue(swap.tokenOut.tokenAddress, swap.tokenOut.amount, tx.blockNumber);
+        }
+        
+        return total;
+    }
+
+    /**
+     * 新钱包识别的美元门槛检查
+     * @param {string} tokenAddress - 代币地址，BNB 为 null
+     * @param {string} amount - 数量
+     * @param {number} blockNumber - 区块号
+     * @returns {Promise<boolean>} 是否达到门槛（无法计价时为 false）
+     */
+    async meetsNewWalletUsd(tokenAddress, amount, blockNumber) {
+        const usdValue = await this.scanner.processor.prices.getValue(tokenAddress, amount, blockNumber);
+        return usdValue !== null && usdValue >= this.config.newWalletMinUsd;
+    }
+
+    /**
+     * 发送高风险授权提醒
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     * @param {Array} approvals - 有风险的授权
+     */
+    async sendApprovalAlert(tx, analysis, approvals) {
+        try {
+            const message = MessageTemplates.approvalAlert({
+                hash: tx.hash,
+                walletName: analysis.walletName,
+                walletAddress: analysis.walletAddress,
+                approvals,
+                blockNumber: tx.blockNumber,
+                timestamp: tx.timestamp
+            });
+            await this.bot.sendHtml(this.config.chatId, message, this.config.threadId);
+            this.stats.approvalAlerts++;
+            this.stats.sentNotifications++;
             
+            this.logger.warn(`🔐 检测到风险授权: ${analysis.walletName} ${tx.hash}`);
         } catch (error) {
-            this.logger.error('扫描新区块失败:', error.message);
-            throw error;
+            this.logger.error('❌ 发送授权提醒失败:', error.message);
+        }
+    }
+
+    /**
+     * 把监控地址的买卖计入持仓账本，在交易确认后调用，被回滚或丢弃的交易不计入
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     * @returns {Promise<Array>} 买卖记录，卖出记录带已实现盈亏
+     */
+    async recordTrades(tx, analysis) {
+        if (!this.config.trackPnl || analysis.swaps.length === 0) {
+            return [];
+        }
+        try {
+            return await this.ledger.recordSwaps(analysis.walletAddress, tx, analysis.swaps);
+        } catch (error) {
+            this.logger.error(`❌ 记录持仓失败 ${tx.hash}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * 不推送的交易（低于价值门槛）只把买卖计入持仓账本，需要确认时加入等待确认列表，确认后再记录
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     */
+    async awaitTrades(tx, analysis) {
+        if (!this.config.trackPnl || analysis.swaps.length === 0) {
+            return;
+        }
+        if (this.config.confirmations > 0) {
+            this.awaitingConfirmation.set(tx.hash, {
+                tx,
+                analysis,
+                blockNumber: tx.blockNumber,
+                notified: false,
+                silent: true
+            });
+        } else {
+            await this.recordTrades(tx, analysis);
+        }
+    }
+
+    /**
+     * 买入新上线的代币时额外发送新币提醒，在交易确认后调用，被回滚或丢弃的交易不提醒
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     */
+    async notifyEarlyBuy(tx, analysis) {
+        if (this.config.earlyBuyMaxAge <= 0 || analysis.failed) {
+            return;
+        }
+        const earlyBuy = await this.checkEarlyBuy(tx, analysis);
+        if (earlyBuy) {
+            await this.sendEarlyBuyAlert(tx, analysis, earlyBuy);
+        }
+    }
+
+    /**
+     * 检查交易是否为买入新上线的代币
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     * @returns {Promise<Object|null>} { swap, age, liquidity, holders } 不是新币买入时为 null
+     */
+    async checkEarlyBuy(tx, analysis) {
+        const swap = analysis.swaps.find(item => item.direction === 'buy' && item.tokenOut.tokenAddress);
+        if (!swap) {
+            return null;
+        }
+        
+        const processor = this.scanner.processor;
+        const tokenAddress = swap.tokenOut.tokenAddress;
+        const timestamp = Math.floor(new Date(tx.timestamp).getTime() / 1000);
+        const age = await processor.tokenAge.getAge(tokenAddress, tx.blockNumber, timestamp, this.config.earlyBuyMaxAge * 60);
+        if (!age) {
+            return null;
+        }
+        
+        return {
+            swap,
+            age,
+            liquidity: await processor.prices.getLiquidity(tokenAddress, tx.blockNumber),
+            holders: await this.countWatchedHolders(tokenAddress, tx.blockNumber, analysis.walletAddress)
+        };
+    }
+
+    /**
+     * 统计本实例中已持有某代币的其他监控地址
+     * @param {string} tokenAddress - 代币地址
+     * @param {number} blockNumber - 区块号
+     * @param {string} excludeAddress - 排除的地址（买入的钱包）
+     * @returns {Promise<number|null>} 持有数量，查询失败时为 null
+     */
+    async countWatchedHolders(tokenAddress, blockNumber, excludeAddress) {
+        const processor = this.scanner.processor;
+        const addresses = Array.from(this.monitoredAddresses).filter(address => address !== excludeAddress.toLowerCase());
+        const batchSize = 20;
+        
+        let holders = 0;
+        try {
+            for (let i = 0; i < addresses.length; i += batchSize) {
+                const balances = await Promise.all(addresses.slice(i, i + batchSize).map(address => processor.provider.call({
+                    to: tokenAddress,
+                    data: processor.ERC20_METHODS.balanceOf + ethers.zeroPadValue(address, 32).slice(2),
+                    blockTag: blockNumber
+                })));
+                holders += balances.filter(data => data !== '0x' && ethers.toBigInt(ethers.dataSlice(data, 0, 32)) > 0n).length;
+            }
+        } catch (error) {
+            this.logger.warn(`⚠️ 查询监控地址持仓失败 ${tokenAddress}:`, error.shortMessage || error.message);
+            return null;
         }
+        return holders;
+    }
+
+    /**
+     * 发送新币买入提醒
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     * @param {Object} earlyBuy - 新币买入信息 { swap, age, liquidity, holders }
+     */
+    async sendEarlyBuyAlert(tx, analysis, earlyBuy) {
+        try {
+            const message = MessageTemplates.earlyBuyAlert({
+                hash: tx.hash,
+                walletName: analysis.walletName,
+                walletAddress: analysis.walletAddress,
+                ...earlyBuy,
+                blockNumber: tx.blockNumber,
+                timestamp: tx.timestamp
+            });
+            await this.bot.sendHtml(this.config.chatId, message, this.config.threadId);
+            this.stats.earlyBuyAlerts++;
+            this.stats.sentNotifications++;
+            
+            this.logger.warn(`🚀 检测到新币买入: ${analysis.walletName} ${earlyBuy.swap.tokenOut.tokenSymbol} (上线 ${earlyBuy.age.ageSeconds} 秒) ${tx.hash}`);
+        } catch (error) {
+            this.logger.error('❌ 发送新币提醒失败:', error.message);
+        }
+    }
+
+    /**
+     * 判断交易是否与本实例相关
+     * - 监控地址发起或接收的交易，需达到本实例的金额下限
+     * - 他人发起、向监控地址转入代币、NFT 或内部转入BNB的交易，以及监控地址的授权，不受金额下限限制
+     * @param {Object} tx - 交易数据
+     * @returns {boolean} 是否相关
+     */
+    isRelevantTransaction(tx) {
+        if ((tx.approvals || []).some(approval => this.monitoredAddresses.has(approval.owner.toLowerCase()))) {
+            return true;
+        }
+        if ((tx.nftChanges || []).some(change => this.monitoredAddresses.has(change.to.toLowerCase()))) {
+            return true;
+        }
+        if (tx.erc20Changes.some(change => this.monitoredAddresses.has(change.to.toLowerCase()))) {
+            return true;
+        }
+        if (tx.bnbChange.internal.some(transfer => this.monitoredAddresses.has(transfer.to.toLowerCase()))) {
+            return true;
+        }
+        
+        const value = tx.bnbChange.to !== '0' ? ethers.parseEther(tx.bnbChange.to) : 0n;
+        if (value < this.config.minValue) {
+            return false;
+        }
+        
+        return this.monitoredAddresses.has(tx.from?.toLowerCase()) || this.monitoredAddresses.has(tx.to?.toLowerCase());
     }
 
     /**
@@ -238,43 +597,460 @@ class WalletMonitor {
     async processTransactions(transactions) {
         for (const tx of transactions) {
             try {
+                // 内存池中提醒过的交易已打包，更新提醒状态
+                const pendingEntry = this.pendingAlerts.get(tx.hash);
+                if (pendingEntry) {
+                    await this.markPendingMined(pendingEntry, tx.blockNumber);
+                }
+                
+                // 失败交易按实例配置隐藏
+                if (this.config.hideFailed && tx.status === 0) {
+                    continue;
+                }
+                
+                // 重启后回放的区块中已推送过的交易不再重复推送
+                const notified = await this.getNotified(tx.hash);
+                if (notified === 'sent') {
+                    continue;
+                }
+                
                 // 使用MessageTemplates分析交易
                 const analysis = MessageTemplates.analyzeTransaction(tx, this.monitoredAddresses, this.addressNames);
                 
-                if (analysis.hasActivity) {
-                    await this.sendTransactionNotification(tx, analysis);
+                if (!analysis.hasActivity) {
+                    continue;
+                }
+                
+                // 标注美元价值，收发总价值低于门槛的交易不推送
+                if (this.config.showUsdValue || this.config.minUsdValue > 0) {
+                    const usdValue = await this.valueTransfers(tx, analysis);
+                    const belowThreshold = usdValue !== null && usdValue < this.config.minUsdValue;
+                    if (belowThreshold && !analysis.failed && analysis.nfts.length === 0 && analysis.approvals.length === 0) {
+                        this.logger.log(`💵 跳过低价值交易: ${tx.hash} ($${usdValue.toFixed(2)})`);
+                        
+                        // 不推送，买卖仍在确认后计入持仓账本
+                        await this.awaitTrades(tx, analysis);
+                        continue;
+                    }
+                }
+                
+                // 有风险的授权立即单独提醒（不等待确认），不再出现在普通通知中
+                const riskyApprovals = analysis.approvals.filter(approval => approval.risks.length > 0);
+                if (riskyApprovals.length > 0) {
+                    if (!notified) {
+                        await this.sendApprovalAlert(tx, analysis, riskyApprovals);
+                    }
+                    analysis.approvals = analysis.approvals.filter(approval => approval.risks.length === 0);
                     
-                    // 检查是否为新钱包（如果开关开启）
-                    if (this.config.enableNewWalletDetection) {
-                        this.logger.log('检查新钱包标记')
-                        await this.checkNewWallet(tx);
+                    const hasOtherActivity = analysis.received.length > 0 || analysis.sent.length > 0 ||
+                        analysis.swaps.length > 0 || analysis.wraps.length > 0 || analysis.approvals.length > 0 ||
+                        analysis.nfts.length > 0 || analysis.deployment !== null;
+                    if (!hasOtherActivity) {
+                        await this.setNotified(tx.hash, 'sent');
+                        continue;
                     }
                 }
                 
+                if (this.config.confirmations > 0) {
+                    await this.awaitConfirmation(tx, analysis, notified === 'pending');
+                } else {
+                    await this.handleConfirmedTransaction(tx, analysis);
+                }
+                
             } catch (error) {
                 this.logger.error('❌ 处理交易失败:', error.message)
             }
         }
     }
 
+    /**
+     * 处理已确认（或无需确认）的交易：买卖计入持仓账本，推送通知和新币提醒并检查新钱包
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     */
+    async handleConfirmedTransaction(tx, analysis) {
+        analysis.trades = await this.recordTrades(tx, analysis);
+        await this.sendTransactionNotification(tx, analysis);
+        await this.notifyEarlyBuy(tx, analysis);
+        await this.setNotified(tx.hash, 'sent');
+        
+        // 检查是否为新钱包（如果开关开启）
+        if (this.config.enableNewWalletDetection) {
+            this.logger.log('检查新钱包标记')
+            await this.checkNewWallet(tx);
+        }
+    }
+
+    /**
+     * 将交易加入等待确认列表，pending 模式下先推送待确认消息
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     * @param {boolean} resumed - 重启前已处理过该交易（待确认消息已推送），只恢复等待状态
+     */
+    async awaitConfirmation(tx, analysis, resumed = false) {
+        const notified = this.config.confirmationMode === 'pending';
+        if (notified && !resumed) {
+            await this.sendTransactionNotification(tx, analysis, 'pending');
+        }
+        if (!resumed) {
+            await this.setNotified(tx.hash, 'pending');
+        }
+        
+        this.awaitingConfirmation.set(tx.hash, {
+            tx,
+            analysis,
+            blockNumber: tx.blockNumber,
+            notified
+        });
+        this.logger.log(`⏳ 交易等待 ${this.config.confirmations} 个确认: ${tx.hash} (区块 ${tx.blockNumber})`);
+    }
+
+    /**
+     * 检查等待确认的交易是否达到确认数
+     * 达到确认数时重新查询收据，收据不存在说明交易已被丢弃
+     * @param {number} currentBlock - 当前最新区块号
+     */
+    async checkConfirmations(currentBlock) {
+        for (const [hash, entry] of this.awaitingConfirmation) {
+            if (currentBlock - entry.blockNumber + 1 < this.config.confirmations) {
+                continue;
+            }
+            
+            let receipt;
+            try {
+                receipt = await this.scanner.provider.getTransactionReceipt(hash);
+            } catch (error) {
+                this.logger.warn(`⚠️ 查询交易确认状态失败 ${hash}:`, error.message);
+                continue; // 下一轮再检查
+            }
+            
+            if (!receipt) {
+                this.awaitingConfirmation.delete(hash);
+                await this.dropTransaction(entry);
+                continue;
+            }
+            
+            // 交易被重新打包到其他区块，按新区块重新计算确认数
+            if (receipt.blockNumber !== entry.blockNumber) {
+                entry.blockNumber = receipt.blockNumber;
+                if (currentBlock - entry.blockNumber + 1 < this.config.confirmations) {
+                    continue;
+                }
+            }
+            
+            this.awaitingConfirmation.delete(hash);
+            this.logger.log(`✅ 交易已确认: ${hash} (区块 ${entry.blockNumber})`);
+            
+            // 不推送的交易只记录买卖
+            if (entry.silent) {
+                await this.recordTrades(entry.tx, entry.analysis);
+                continue;
+            }
+            
+            if (entry.notified) {
+                entry.analysis.trades = await this.recordTrades(entry.tx, entry.analysis);
+                await this.updateTransactionStatus(entry, 'confirmed');
+                await this.notifyEarlyBuy(entry.tx, entry.analysis);
+                await this.setNotified(hash, 'sent');
+                if (this.config.enableNewWalletDetection) {
+                    await this.checkNewWallet(entry.tx);
+                }
+            } else {
+                await this.handleConfirmedTransaction(entry.tx, entry.analysis);
+            }
+        }
+    }
+
+    /**
+     * 丢弃未能确认的交易
+     * @param {Object} entry - 等待确认的交易
+     */
+    async dropTransaction(entry) {
+        this.logger.warn(`🗑️ 交易未能确认，已丢弃: ${entry.tx.hash}`);
+        if (entry.notified) {
+            await this.updateTransactionStatus(entry, 'dropped');
+        }
+    }
+
+    /**
+     * 获取可安全保存的扫描进度，不越过仍在等待确认的交易所在区块
+     * @returns {number} 区块号
+     */
+    getSafeCursor() {
+        let cursor = this.lastProcessedBlock;
+        for (const entry of this.awaitingConfirmation.values()) {
+            cursor = Math.min(cursor, entry.blockNumber - 1);
+        }
+        return cursor;
+    }
+
+    /**
+     * 查询交易的推送状态，用于跳过重启后回放的区块中已推送的交易
+     * @param {string} hash - 交易哈希
+     * @returns {Promise<string|null>} pending（已推送待确认） / sent（已推送完成），未推送或查询失败时为 null
+     */
+    async getNotified(hash) {
+        try {
+            return await this.redis.getNotified(hash);
+        } catch (error) {
+            this.logger.warn('⚠️ 查询推送状态失败:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 保存交易的推送状态
+     * @param {string} hash - 交易哈希
+     * @param {string} status - pending / sent
+     */
+    async setNotified(hash, status) {
+        try {
+            await this.redis.setNotified(hash, status);
+        } catch (error) {
+            this.logger.warn('⚠️ 保存推送状态失败:', error.message);
+        }
+    }
+
     /**
      * 发送交易通知
      * @param {Object} tx - 交易数据
      * @param {Object} analysis - 分析结果
+     * @param {string} status - 确认状态（可选）: pending / confirmed / dropped
      */
-    async sendTransactionNotification(tx, analysis) {
-        const message = MessageTemplates.tokenTransfer({
+    async sendTransactionNotification(tx, analysis, status = null) {
+        const message = this.buildTransactionMessage(tx, analysis, status);
+        
+        // 内存池中提醒过的交易，以回复的形式关联到待打包提醒
+        const options = {};
+        const pendingMessageId = await this.bot.findMessageId(`pending:${tx.hash}`);
+        if (pendingMessageId) {
+            options.reply_to_message_id = pendingMessageId;
+            options.allow_sending_without_reply = true;
+        }
+        
+        if (status) {
+            // 需要后续编辑的消息，记录消息ID
+            await this.bot.sendTrackedHtml(`tx:${tx.hash}`, this.config.chatId, message, this.config.threadId, options);
+        } else {
+            await this.bot.sendHtml(this.config.chatId, message, this.config.threadId, true, options);
+        }
+        this.stats.sentNotifications++;
+        
+        this.logger.log(`📤 已发送交易通知: ${analysis.walletName} (${analysis.received.length}接收, ${analysis.sent.length}发送)`)
+    }
+
+    /**
+     * 编辑已推送的交易通知，更新确认状态
+     * @param {Object} entry - 等待确认的交易
+     * @param {string} status - 确认状态: confirmed / dropped
+     */
+    async updateTransactionStatus(entry, status) {
+        const message = this.buildTransactionMessage(entry.tx, entry.analysis, status);
+        await this.bot.editHtml(`tx:${entry.tx.hash}`, message);
+    }
+
+    /**
+     * 生成交易通知消息
+     * @param {Object} tx - 交易数据
+     * @param {Object} analysis - 分析结果
+     * @param {string} status - 确认状态（可选）
+     * @returns {string} HTML格式消息
+     */
+    buildTransactionMessage(tx, analysis, status = null) {
+        // 监控地址部署合约
+        if (analysis.deployment) {
+            return MessageTemplates.contractDeployment({
+                hash: tx.hash,
+                walletName: analysis.walletName,
+                walletAddress: analysis.walletAddress,
+                deployment: analysis.deployment,
+                received: analysis.received,
+                sent: analysis.sent,
+                status,
+                confirmations: this.config.confirmations,
+                blockNumber: tx.blockNumber,
+                timestamp: tx.timestamp
+            });
+        }
+        
+        // 只有 NFT 转账时使用 NFT 消息格式
+        const onlyNft = analysis.nfts.length > 0 && !analysis.failed &&
+            analysis.received.length === 0 && analysis.sent.length === 0 &&
+            analysis.swaps.length === 0 && analysis.wraps.length === 0 && analysis.approvals.length === 0;
+        if (onlyNft) {
+            return MessageTemplates.nftTransfer({
+                hash: tx.hash,
+                walletName: analysis.walletName,
+                walletAddress: analysis.walletAddress,
+                nfts: analysis.nfts,
+                method: tx.method,
+                status,
+                confirmations: this.config.confirmations,
+                blockNumber: tx.blockNumber,
+                timestamp: tx.timestamp
+            });
+        }
+        
+        return MessageTemplates.tokenTransfer({
             hash: tx.hash,
             walletName: analysis.walletName,
             walletAddress: analysis.walletAddress,
             received: analysis.received,
-            sent: analysis.sent
+            sent: analysis.sent,
+            swaps: analysis.swaps,
+            wraps: analysis.wraps,
+            approvals: analysis.approvals,
+            nfts: analysis.nfts,
+            trades: analysis.trades,
+            legs: this.config.showTransferDetails ? analysis.legs : null,
+            method: tx.method,
+            failed: analysis.failed,
+            revertReason: analysis.revertReason,
+            status,
+            confirmations: this.config.confirmations,
+            blockNumber: tx.blockNumber,
+            timestamp: tx.timestamp
         });
+    }
+
+    /**
+     * 处理内存池中的待打包交易，推送待打包提醒
+     * @param {Object} tx - 待打包交易数据
+     */
+    async handlePendingTransaction(tx) {
+        const walletAddress = tx.from.toLowerCase();
         
-        await this.bot.sendHtml(this.config.chatId, message, this.config.threadId);
-        this.stats.sentNotifications++;
+        // 只提醒监控地址主动发起的交易
+        if (!this.monitoredAddresses.has(walletAddress) || this.pendingAlerts.has(tx.hash)) {
+            return;
+        }
         
-        this.logger.log(`📤 已发送交易通知: ${analysis.walletName} (${analysis.received.length}接收, ${analysis.sent.length}发送)`)
+        try {
+            const entry = {
+                tx,
+                walletName: this.addressNames.get(walletAddress) || 'Unknown',
+                seenAt: Date.now()
+            };
+            this.pendingAlerts.set(tx.hash, entry);
+            
+            const message = this.buildPendingMessage(entry, 'pending');
+            await this.bot.sendTrackedHtml(`pending:${tx.hash}`, this.config.chatId, message, this.config.threadId);
+            this.stats.pendingAlerts++;
+            this.stats.sentNotifications++;
+            
+            this.logger.log(`⏳ 已发送待打包提醒: ${entry.walletName} ${tx.hash}`);
+        } catch (error) {
+            this.logger.error('❌ 发送待打包提醒失败:', error.message);
+        }
+    }
+
+    /**
+     * 检查超时的内存池提醒，已被丢弃或替换的交易更新为 dropped
+     */
+    async checkPendingAlerts() {
+        const now = Date.now();
+        
+        for (const [hash, entry] of this.pendingAlerts) {
+            if (now - entry.seenAt < this.config.pendingTimeout) {
+                continue;
+            }
+            
+            let transaction;
+            try {
+                transaction = await this.scanner.provider.getTransaction(hash);
+            } catch (error) {
+                this.logger.warn(`⚠️ 查询待打包交易失败 ${hash}:`, error.message);
+                continue;
+            }
+            
+            if (!transaction) {
+                this.pendingAlerts.delete(hash);
+                await this.bot.editHtml(`pending:${hash}`, this.buildPendingMessage(entry, 'dropped'));
+                this.logger.warn(`🗑️ 待打包交易已被丢弃: ${hash}`);
+            } else if (transaction.blockNumber) {
+                // 已打包但没有经过区块扫描（例如被金额过滤）
+                await this.markPendingMined(entry, transaction.blockNumber);
+            } else {
+                // 仍在内存池中，重新计时
+                entry.seenAt = now;
+            }
+        }
+    }
+
+    /**
+     * 将内存池提醒更新为已打包
+     * @param {Object} entry - 内存池提醒
+     * @param {number} blockNumber - 打包区块号
+     */
+    async markPendingMined(entry, blockNumber) {
+        this.pendingAlerts.delete(entry.tx.hash);
+        await this.bot.editHtml(`pending:${entry.tx.hash}`, this.buildPendingMessage(entry, 'mined', blockNumber));
+        this.logger.log(`⛏️ 待打包交易已打包: ${entry.tx.hash} (区块 ${blockNumber})`);
+    }
+
+    /**
+     * 生成内存池提醒消息
+     * @param {Object} entry - 内存池提醒
+     * @param {string} status - pending / mined / dropped
+     * @param {number} blockNumber - 打包区块号（可选）
+     * @returns {string} HTML格式消息
+     */
+    buildPendingMessage(entry, status, blockNumber = null) {
+        const { tx, walletName } = entry;
+        return MessageTemplates.pendingTransaction({
+            hash: tx.hash,
+            walletName,
+            walletAddress: tx.from,
+            to: tx.to,
+            value: tx.bnbChange.from,
+            transactionType: tx.transactionType,
+            methodSignature: tx.methodSignature,
+            method: tx.method,
+            decodedInput: tx.decodedInput,
+            status,
+            blockNumber
+        });
+    }
+
+    /**
+     * 处理因链重组被回滚的交易，发送更正消息
+     * @param {Object} tx - 已推送过的交易数据
+     */
+    async handleRevertedTransaction(tx) {
+        try {
+            // 交易可能被重新打包，清除推送状态以便重新推送
+            await this.redis.clearNotified(tx.hash).catch(error => {
+                this.logger.warn('⚠️ 清除推送状态失败:', error.message);
+            });
+            
+            // 还在等待确认的交易直接丢弃，不需要单独发更正消息
+            const entry = this.awaitingConfirmation.get(tx.hash);
+            if (entry) {
+                this.awaitingConfirmation.delete(tx.hash);
+                await this.dropTransaction(entry);
+                return;
+            }
+            
+            const analysis = MessageTemplates.analyzeTransaction(tx, this.monitoredAddresses, this.addressNames);
+            if (!analysis.hasActivity) {
+                return;
+            }
+            
+            const message = MessageTemplates.reverted({
+                hash: tx.hash,
+                blockNumber: tx.blockNumber,
+                walletName: analysis.walletName,
+                walletAddress: analysis.walletAddress
+            });
+            
+            await this.bot.sendHtml(this.config.chatId, message, this.config.threadId);
+            this.stats.revertedTransactions++;
+            this.stats.sentNotifications++;
+            
+            this.logger.warn(`↩️ 交易已因链重组回滚: ${tx.hash} (区块 ${tx.blockNumber})`);
+        } catch (error) {
+            this.logger.error('❌ 发送回滚通知失败:', error.message);
+        }
     }
 
     /**
@@ -298,6 +1074,10 @@ class WalletMonitor {
      * 条件1: 有且仅有BNB的转账
      */
     async checkNewWalletFromBNB(tx) {
+        // 合约部署交易没有接收方
+        if (!tx.to) {
+            return;
+        }
         const toAddress = tx.to.toLowerCase();
         
         // 检查接收方是否为新钱包
@@ -305,7 +1085,9 @@ class WalletMonitor {
             // 条件1: 有且仅有BNB的转账
             const hasBNBTransfer = tx.bnbChange && (tx.bnbChange.from !== '0' || tx.bnbChange.to !== '0');
             const hasNoERC20Transfer = !tx.erc20Changes || tx.erc20Changes.length === 0;
-            const minValue = tx.bnbChange.to >= this.config.minValue;
+            const minValue = this.config.newWalletMinUsd > 0
+                ? await this.meetsNewWalletUsd(null, tx.bnbChange.to, tx.blockNumber)
+                : tx.bnbChange.to >= this.config.minValue;
 
             this.logger.log(`minValue: ${minValue}  --  toAddress: ${toAddress}  --  tx.bnbChange.to: ${tx.bnbChange.to.toString()}`)
 
@@ -342,7 +1124,9 @@ class WalletMonitor {
                     const minValue = this.config.baseTokenMap.get(tokenAddress)?.minValue
 
                     // 过滤未达到最小值的交易，未达最小值的去掉不进行后续检查
-                    const isMinValue = minValue && change.formattedValue >= minValue
+                    const isMinValue = this.config.newWalletMinUsd > 0
+                        ? await this.meetsNewWalletUsd(tokenAddress, change.formattedValue, tx.blockNumber)
+                        : minValue && change.formattedValue >= minValue
                     this.logger.log(`isMinValue: ${isMinValue}  --  fromAddress: ${fromAddress}  --  toAddress: ${toAddress}  --  tokenAddress: ${tokenAddress}  --  minValue: ${minValue}  --  change.formattedValue: ${change.formattedValue}`)
                     
                     // 只检查涉及监控地址的ERC20转账
@@ -408,7 +1192,7 @@ class WalletMonitor {
                 // 更新本地缓存
                 this.monitoredAddresses.add(walletAddress);
                 this.addressNames.set(walletAddress.toLowerCase(), fromName);
-                this.scanner.addWatchedAddress(walletAddress);
+                this.hub.watchAddress(walletAddress);
                 
                 // 发送新钱包通知
                 const message = MessageTemplates.newWallet({
@@ -479,13 +1263,6 @@ class WalletMonitor {
         return `${hours}h ${minutes}m ${seconds}s`;
     }
 
-    /**
-     * 睡眠函数
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * 获取统计信息
      */
@@ -494,6 +1271,9 @@ class WalletMonitor {
             ...this.stats,
             monitoredAddresses: this.monitoredAddresses.size,
             lastProcessedBlock: this.lastProcessedBlock,
+            awaitingConfirmation: this.awaitingConfirmation.size,
+            retryQueue: this.hub.retryQueue.size,
+            rpcEndpoints: this.scanner.getProviderStats(),
             uptime: this.getUptime()
         };
     }
@@ -534,7 +1314,7 @@ class WalletMonitor {
             // 更新内存缓存
             this.monitoredAddresses.add(wallet);
             this.addressNames.set(wallet.toLowerCase(), name);
-            this.scanner.addWatchedAddress(wallet);
+            this.hub.watchAddress(wallet);
             
             // 获取添加后的信息
             const nodeInfo = await this.redis.getNodeInfo(wallet);
@@ -594,7 +1374,7 @@ class WalletMonitor {
             // 从内存缓存中删除
             this.monitoredAddresses.delete(wallet);
             this.addressNames.delete(wallet.toLowerCase());
-            this.scanner.removeWatchedAddress(wallet);
+            this.hub.unwatchAddress(wallet);
             
             return {
                 success: true,
@@ -681,6 +1461,44 @@ class WalletMonitor {
         }
     }
 
+    /**
+     * 查询钱包的持仓和盈亏
+     * @param {string} wallet - 钱包地址
+     * @returns {Promise<Object>} 盈亏信息
+     */
+    async getWalletPnl(wallet) {
+        try {
+            const exists = await this.redis.existsWallet(wallet);
+            if (!exists) {
+                return {
+                    success: false,
+                    message: `地址不存在: ${wallet}`,
+                    data: null
+                };
+            }
+            
+            const name = await this.redis.getNameByWallet(wallet);
+            const pnl = await this.ledger.getWalletPnl(wallet);
+            
+            return {
+                success: true,
+                message: `查询成功: ${wallet}`,
+                data: {
+                    wallet,
+                    name,
+                    ...pnl
+                }
+            };
+        } catch (error) {
+            this.logger.error(`❌ 查询盈亏失败:`, error.message)
+            return {
+                success: false,
+                message: `查询盈亏失败: ${error.message}`,
+                data: null
+            };
+        }
+    }
+
     /**
      * 获取统计信息
      * @returns {Promise<Object>} 统计信息
@@ -757,7 +1575,12 @@ ID: ${data.nodeInfo?.id || 'N/A'}`;
 处理区块数: ${data.stats.processedBlocks}
 发现交易数: ${data.stats.foundTransactions}
 发送通知数: ${data.stats.sentNotifications}
-新钱包数: ${data.stats.newWalletsAdded}`;
+新钱包数: ${data.stats.newWalletsAdded}
+重组回滚数: ${data.stats.revertedTransactions}
+重试队列区块数: ${data.stats.retryQueue}
+跳过区块数: ${data.stats.skippedBlocks}
+风险授权提醒数: ${data.stats.approvalAlerts}
+新币买入提醒数: ${data.stats.earlyBuyAlerts}${MessageTemplates.formatRpcEndpoints(data.stats.rpcEndpoints)}`;
     }
 }
 
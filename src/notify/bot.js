@@ -5,9 +5,13 @@ const token = process.env.BOT_TOKEN;
 const bot = new TelegramBot(token);
 
 class TgBot{
-    constructor() {
+    /**
+     * @param {Object} store - 消息ID存储（可选），提供 setMessageId / getMessageId，重启后仍可编辑已发送的消息
+     */
+    constructor(store = null) {
         this.token = process.env.BOT_TOKEN;
         this.bot = bot;
+        this.store = store;
         
         // 消息队列系统
         this.messageQueue = [];
@@ -16,6 +20,11 @@ class TgBot{
         this.retryCount = 0;
         this.maxRetries = 3;
         
+        // 已发送消息跟踪: key -> { chatId, messageId }，用于后续编辑消息
+        this.messageIds = new Map();
+        this.pendingEdits = new Map(); // 消息尚未发出时收到的编辑: key -> html
+        this.maxTrackedMessages = 1000;
+        
         // 批量处理设置
         this.batchSize = 5; // 每次处理5条消息
         this.processInterval = 200; // 每200ms处理一次
@@ -49,7 +58,9 @@ class TgBot{
             const batch = this.messageQueue.splice(0, this.batchSize);
             
             // 并行发送消息
-            const promises = batch.map(message => this.sendMessageWithRetry(message));
+            const promises = batch.map(message => message.type === 'edit'
+                ? this.editMessageWithRetry(message)
+                : this.sendMessageWithRetry(message));
             await Promise.allSettled(promises);
             
         } catch (error) {
@@ -61,7 +72,7 @@ class TgBot{
 
     // 带重试的消息发送
     async sendMessageWithRetry(messageData) {
-        const { chatId, html, thread_id, disable_web_page_preview, options, retryCount = 0 } = messageData;
+        const { chatId, html, thread_id, disable_web_page_preview, options, key } = messageData;
         
         try {
             const extra = {
@@ -73,33 +84,117 @@ class TgBot{
                 extra.message_thread_id = thread_id;
             }
             
-            await this.bot.sendMessage(chatId, html, extra);
+            const message = await this.bot.sendMessage(chatId, html, extra);
+            this.retryCount = 0;
+            
+            if (key && message) {
+                this.trackMessage(key, chatId, message.message_id);
+            }
+            return message;
+            
+        } catch (error) {
+            this.handleSendError(error, messageData);
+            return null;
+        }
+    }
+
+    // 带重试的消息编辑
+    async editMessageWithRetry(messageData) {
+        const { key, html } = messageData;
+        const tracked = this.messageIds.get(key);
+        if (!tracked) {
+            return null;
+        }
+        
+        try {
+            const message = await this.bot.editMessageText(html, {
+                chat_id: tracked.chatId,
+                message_id: tracked.messageId,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
             this.retryCount = 0;
+            return message;
             
         } catch (error) {
-            if (error.message.includes('429 Too Many Requests')) {
-                // 解析 retry after 时间
-                const retryAfterMatch = error.message.match(/retry after (\d+)/);
-                const retryAfter = retryAfterMatch ? parseInt(retryAfterMatch[1]) : 2; // 减少等待时间
-                
-                console.warn(`❌ TG 限流: 需要等待 ${retryAfter} 秒`);
-                
-                // 设置限流结束时间
-                this.rateLimitUntil = Date.now() + (retryAfter * 1000);
-                
-                // 如果重试次数未超限，重新加入队列
-                if (retryCount < this.maxRetries) {
-                    this.messageQueue.unshift({
-                        ...messageData,
-                        retryCount: retryCount + 1
-                    });
-                } else {
-                    console.error(`❌ 消息发送失败，已达到最大重试次数`);
+            this.handleSendError(error, messageData);
+            return null;
+        }
+    }
+
+    // 处理发送失败：限流时重新加入队列
+    handleSendError(error, messageData) {
+        const { retryCount = 0, key } = messageData;
+        
+        if (error.message.includes('429 Too Many Requests')) {
+            // 解析 retry after 时间
+            const retryAfterMatch = error.message.match(/retry after (\d+)/);
+            const retryAfter = retryAfterMatch ? parseInt(retryAfterMatch[1]) : 2; // 减少等待时间
+            
+            console.warn(`❌ TG 限流: 需要等待 ${retryAfter} 秒`);
+            
+            // 设置限流结束时间
+            this.rateLimitUntil = Date.now() + (retryAfter * 1000);
+            
+            // 如果重试次数未超限，重新加入队列
+            if (retryCount < this.maxRetries) {
+                this.messageQueue.unshift({
+                    ...messageData,
+                    retryCount: retryCount + 1
+                });
+                return;
+            }
+            console.error(`❌ 消息发送失败，已达到最大重试次数`);
+        } else {
+            console.error('❌ TG 发送失败:', error.message);
+        }
+        
+        // 发送彻底失败，丢弃等待中的编辑
+        if (key && messageData.type !== 'edit') {
+            this.pendingEdits.delete(key);
+        }
+    }
+
+    // 记录已发送消息的ID，并执行发送前收到的编辑
+    trackMessage(key, chatId, messageId) {
+        this.messageIds.set(key, { chatId, messageId });
+        if (this.store) {
+            this.store.setMessageId(key, chatId, messageId).catch(error => {
+                console.warn('⚠️ 保存消息ID失败:', error.message);
+            });
+        }
+        
+        // 只保留最近的消息，避免内存无限增长
+        if (this.messageIds.size > this.maxTrackedMessages) {
+            const oldestKey = this.messageIds.keys().next().value;
+            this.messageIds.delete(oldestKey);
+        }
+        
+        if (this.pendingEdits.has(key)) {
+            const html = this.pendingEdits.get(key);
+            this.pendingEdits.delete(key);
+            this.messageQueue.push({ type: 'edit', key, html });
+        }
+    }
+
+    // 获取已跟踪消息的ID
+    getMessageId(key) {
+        return this.messageIds.get(key)?.messageId || null;
+    }
+
+    // 获取已跟踪消息的ID，内存中没有时从存储中恢复（重启前发送的消息）
+    async findMessageId(key) {
+        if (!this.messageIds.has(key) && this.store) {
+            try {
+                const tracked = await this.store.getMessageId(key);
+                if (tracked) {
+                    this.messageIds.set(key, tracked);
                 }
-            } else {
-                console.error('❌ TG 发送失败:', error.message);
+            } catch (error) {
+                console.warn('⚠️ 读取消息ID失败:', error.message);
             }
         }
+        return this.getMessageId(key);
     }
 
     // 添加消息到队列
@@ -133,6 +228,36 @@ class TgBot{
         });
     }
 
+    // 发送并跟踪消息，之后可通过 key 编辑
+    sendTrackedHtml(key, chatId, html, thread_id = null, options = {}) {
+        this.messageQueue.push({
+            chatId,
+            html,
+            thread_id,
+            disable_web_page_preview: true,
+            options,
+            key
+        });
+        return new Promise((resolve) => {
+            setTimeout(() => resolve(), 50);
+        });
+    }
+
+    // 编辑已跟踪的消息；消息尚未发出时，等发出后再编辑
+    async editHtml(key, html) {
+        if (await this.findMessageId(key)) {
+            this.messageQueue.push({ type: 'edit', key, html });
+        } else {
+            this.pendingEdits.set(key, html);
+            if (this.pendingEdits.size > this.maxTrackedMessages) {
+                this.pendingEdits.delete(this.pendingEdits.keys().next().value);
+            }
+        }
+        return new Promise((resolve) => {
+            setTimeout(() => resolve(), 50);
+        });
+    }
+
     // 立即发送消息（用于紧急情况）
     async sendHtmlImmediate(chatId, html, thread_id = null, disable_web_page_preview = true, options = {}) {
         return this.sendMessageWithRetry({
@@ -155,7 +280,9 @@ class TgBot{
             queueLength: this.messageQueue.length,
             isProcessing: this.isProcessing,
             rateLimitUntil: this.rateLimitUntil,
-            retryCount: this.retryCount
+            retryCount: this.retryCount,
+            trackedMessages: this.messageIds.size,
+            pendingEdits: this.pendingEdits.size
         };
     }
 
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { ethers } = require('ethers');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 
 /**
  * 消息模板封装
@@ -64,6 +67,37 @@ class MessageTemplates {
         }
     }
     
+    /**
+     * 找出交易涉及的监控钱包
+     * 优先返回交易发起方，其次为接收 BNB（含合约内部转出）的地址、接收代币或 NFT 的地址，最后为授权方
+     * @param {Object} tx - 交易数据
+     * @param {Set} monitoredAddresses - 监控地址集合
+     * @returns {string|null} 监控钱包地址
+     */
+    static findWatchedWallet(tx, monitoredAddresses) {
+        if (monitoredAddresses.has(tx.from.toLowerCase())) {
+            return tx.from;
+        }
+        
+        if (tx.to && monitoredAddresses.has(tx.to.toLowerCase()) && tx.bnbChange && tx.bnbChange.to !== '0') {
+            return tx.to;
+        }
+        
+        const internal = (tx.bnbChange?.internal || []).find(transfer => monitoredAddresses.has(transfer.to.toLowerCase()));
+        if (internal) {
+            return internal.to;
+        }
+        
+        const incoming = [...(tx.erc20Changes || []), ...(tx.nftChanges || [])]
+            .find(change => monitoredAddresses.has(change.to.toLowerCase()));
+        if (incoming) {
+            return incoming.to;
+        }
+        
+        const approval = (tx.approvals || []).find(item => monitoredAddresses.has(item.owner.toLowerCase()));
+        return approval ? approval.owner : null;
+    }
+
     /**
      * 分析交易中的发送和接收情况
      * @param {Object} tx - 交易数据
@@ -77,31 +111,67 @@ class MessageTemplates {
             walletName: '',
             walletAddress: '',
             received: [],
-            sent: []
+            sent: [],
+            swaps: [],
+            wraps: [],
+            approvals: [],
+            nfts: [],
+            trades: [],
+            deployment: null,
+            failed: false,
+            revertReason: null
         };
 
-        // 确定钱包名称（暂时只监控发送方）
-        const walletAddress = tx.from;
+        // 确定监控钱包: 优先为交易发起方，否则为接收 BNB 或代币的监控地址（他人发起的转入）
+        const walletAddress = this.findWatchedWallet(tx, monitoredAddresses);
+        if (!walletAddress) {
+            return analysis;
+        }
+        const isSender = walletAddress.toLowerCase() === tx.from.toLowerCase();
         analysis.walletAddress = walletAddress;
         analysis.walletName = addressNames.get(walletAddress.toLowerCase()) || 'Unknown';
 
-        // 分析BNB变化
+        // 失败交易没有实际转账，只提醒监控地址自己发起的，并记录附带的 BNB
+        if (tx.status === 0) {
+            analysis.failed = true;
+            analysis.revertReason = tx.revertReason || null;
+            analysis.hasActivity = isSender;
+            if (isSender && tx.bnbChange && tx.bnbChange.from !== '0') {
+                analysis.sent.push({
+                    type: 'bnb',
+                    formattedValue: tx.bnbChange.from,
+                    from: tx.from.toLowerCase(),
+                    to: tx.to ? tx.to.toLowerCase() : null
+                });
+            }
+            return analysis;
+        }
+
+        // 监控地址自己的包装/解包（WBNB 等），对应的 BNB 转入转出合并为一条记录
+        const wallet = walletAddress.toLowerCase();
+        analysis.wraps = (tx.wraps || []).filter(wrap => wrap.account.toLowerCase() === wallet);
+        const wrapContracts = new Set(analysis.wraps.map(wrap => wrap.tokenAddress.toLowerCase()));
+        if (analysis.wraps.length > 0) {
+            analysis.hasActivity = true;
+        }
+
+        // 监控地址部署的合约
+        if (isSender && tx.deployment) {
+            analysis.hasActivity = true;
+            analysis.deployment = tx.deployment;
+        }
+
+        // 分析BNB变化（部署交易附带的 BNB 转入新合约）
         if (tx.bnbChange && (tx.bnbChange.from !== '0' || tx.bnbChange.to !== '0')) {
-            // 检查是否涉及监控地址
             const fromAddress = tx.from.toLowerCase();
-            const toAddress = tx.to.toLowerCase();
+            const recipient = tx.to || tx.deployment?.contractAddress;
+            const toAddress = recipient ? recipient.toLowerCase() : null;
             
-            // 只监控发送方地址（tx.from）
-            if (monitoredAddresses.has(fromAddress)) {
+            if (isSender) {
                 analysis.hasActivity = true;
                 
-                // 处理接收的BNB
-                // 由于监控都是基于tx.from，监控地址通常不会接收BNB
-                // 只有在特殊情况下（如转账给监控地址）才会接收BNB
-                // 但这种情况很少见，暂时不处理
-                
-                // 处理发送的BNB（用户发送BNB给合约）
-                if (tx.bnbChange.from !== '0') {
+                // 处理发送的BNB（用户发送BNB给合约，包装时已合并为包装记录）
+                if (tx.bnbChange.from !== '0' && !wrapContracts.has(toAddress)) {
                     analysis.sent.push({
                         type: 'bnb',
                         formattedValue: tx.bnbChange.from,
@@ -109,50 +179,433 @@ class MessageTemplates {
                         to: toAddress      // 到合约地址
                     });
                 }
+            } else if (toAddress === walletAddress.toLowerCase() && tx.bnbChange.to !== '0') {
+                // 处理接收的BNB（他人转账给监控地址）
+                analysis.hasActivity = true;
+                analysis.received.push({
+                    type: 'bnb',
+                    formattedValue: tx.bnbChange.to,
+                    from: fromAddress,
+                    to: toAddress
+                });
+            }
+        }
+
+        // 分析合约内部转账的BNB（如卖出代币后路由转出的BNB）
+        for (const transfer of tx.bnbChange?.internal || []) {
+            const fromAddress = transfer.from.toLowerCase();
+            const toAddress = transfer.to.toLowerCase();
+            
+            if (toAddress === wallet && wrapContracts.has(fromAddress)) {
+                // 解包得到的BNB，已合并为包装记录
+                continue;
+            }
+            
+            if (toAddress === wallet) {
+                analysis.hasActivity = true;
+                analysis.received.push({
+                    type: 'bnb',
+                    formattedValue: transfer.formattedValue,
+                    from: fromAddress,
+                    to: toAddress
+                });
+            } else if (fromAddress === wallet) {
+                analysis.sent.push({
+                    type: 'bnb',
+                    formattedValue: transfer.formattedValue,
+                    from: fromAddress,
+                    to: toAddress
+                });
             }
         }
 
         // 分析ERC20变化
         if (tx.erc20Changes && tx.erc20Changes.length > 0) {
-            // 只监控交易发起者（tx.from）
-            if (monitoredAddresses.has(tx.from.toLowerCase())) {
+            // 监控地址发起的交易总是推送；他人发起的交易只在监控地址收到代币时推送
+            if (isSender) {
                 analysis.hasActivity = true;
+            }
+            
+            for (const change of tx.erc20Changes) {
+                const fromAddress = change.from.toLowerCase();
+                const toAddress = change.to.toLowerCase();
+                
+                // 包装原生币（WBNB 等）按 BNB 展示
+                const item = change.wrappedNative
+                    ? { type: 'bnb', wrapped: true, tokenAddress: change.tokenAddress, tokenSymbol: change.tokenSymbol }
+                    : { type: 'token', tokenAddress: change.tokenAddress, tokenSymbol: change.tokenSymbol, decimals: change.tokenDecimals };
+                
+                // 处理接收的代币（监控地址接收代币）
+                if (toAddress === wallet) {
+                    analysis.hasActivity = true;
+                    analysis.received.push({
+                        ...item,
+                        formattedValue: change.formattedValue,
+                        from: fromAddress,
+                        to: toAddress
+                    });
+                }
                 
-                for (const change of tx.erc20Changes) {
-                    const fromAddress = change.from.toLowerCase();
-                    const toAddress = change.to.toLowerCase();
-                    const txFromAddress = tx.from.toLowerCase();
-                    
-                    // 处理接收的代币（监控地址接收代币）
-                    if (toAddress === txFromAddress) {
-                        analysis.received.push({
-                            type: 'token',
-                            tokenAddress: change.tokenAddress,
-                            tokenSymbol: change.tokenSymbol,
-                            formattedValue: change.formattedValue,
-                            from: fromAddress,
-                            to: toAddress
-                        });
-                    }
-                    
-                    // 处理发送的代币（监控地址发送代币）
-                    if (fromAddress === txFromAddress) {
-                        analysis.sent.push({
-                            type: 'token',
-                            tokenAddress: change.tokenAddress,
-                            tokenSymbol: change.tokenSymbol,
-                            formattedValue: change.formattedValue,
-                            from: fromAddress,
-                            to: toAddress
-                        });
-                    }
+                // 处理发送的代币（监控地址发送代币）
+                if (fromAddress === wallet) {
+                    analysis.sent.push({
+                        ...item,
+                        formattedValue: change.formattedValue,
+                        from: fromAddress,
+                        to: toAddress
+                    });
                 }
             }
         }
 
+        // NFT 转入转出
+        for (const change of tx.nftChanges || []) {
+            const direction = change.to.toLowerCase() === wallet ? 'received'
+                : change.from.toLowerCase() === wallet ? 'sent' : null;
+            if (direction) {
+                analysis.hasActivity = true;
+                analysis.nfts.push({ ...change, direction });
+            }
+        }
+
+        // 监控地址作为授权方的授权，标记风险（无限授权、非合约的被授权方）和提示（未知的被授权方）
+        analysis.approvals = (tx.approvals || [])
+            .filter(approval => approval.owner.toLowerCase() === wallet)
+            .map(approval => ({ ...approval, risks: this.getApprovalRisks(approval), notes: this.getApprovalNotes(approval) }));
+        if (analysis.approvals.length > 0) {
+            analysis.hasActivity = true;
+        }
+
+        // 合并为每种资产的净变化，原始收发保留在 legs 中供明细展示
+        analysis.legs = { received: analysis.received, sent: analysis.sent };
+        const net = this.netTransfers(analysis.received, analysis.sent);
+        analysis.received = net.received;
+        analysis.sent = net.sent;
+        
+        // 他人发起的交易净变化为 0（转入后又转出）时不推送
+        if (!isSender && analysis.received.length === 0 && analysis.sent.length === 0 &&
+            analysis.wraps.length === 0 && analysis.nfts.length === 0 && analysis.approvals.length === 0) {
+            analysis.hasActivity = false;
+        }
+
+        // DEX 兑换记录按兑换账户（交易发起方或兑换输出的接收方）计算，只展示监控地址的兑换
+        analysis.swaps = (tx.swaps || []).filter(swap => (swap.account || tx.from).toLowerCase() === wallet);
+        if (analysis.swaps.length > 0) {
+            analysis.hasActivity = true;
+        }
+
         return analysis;
     }
     
+    /**
+     * NFT 转账消息模板
+     * @param {Object} data - 交易数据
+     * @returns {string} HTML格式消息
+     */
+    static nftTransfer(data) {
+        const { hash, walletName, walletAddress, nfts, method, status, confirmations, blockNumber, timestamp } = data;
+        
+        let message = `🖼 NFT · <a href="https://bscscan.com/address/${walletAddress}">${walletName}</a>\n`;
+        
+        nfts.forEach(nft => {
+            message += `${this.formatNftChange(nft)}\n`;
+        });
+        
+        if (method) {
+            message += `Method: <code>${this.formatMethodCall(method)}</code>\n`;
+        }
+        if (status) {
+            message += `${this.formatConfirmationStatus(status, confirmations)}\n`;
+        }
+        if (timestamp) {
+            message += `Time: ${this.formatBlockTime(timestamp)}${blockNumber ? ` (Block ${blockNumber})` : ''}\n`;
+        }
+        message += `<a href="https://bscscan.com/tx/${hash}">TX hash</a>`;
+        
+        return message.trim();
+    }
+
+    /**
+     * 合约部署消息模板
+     * @param {Object} data - 交易数据
+     * @returns {string} HTML格式消息
+     */
+    static contractDeployment(data) {
+        const { hash, walletName, walletAddress, deployment, received, sent, status, confirmations, blockNumber, timestamp } = data;
+        
+        let message = `🏗 DEPLOY · <a href="https://bscscan.com/address/${walletAddress}">${walletName}</a>\n`;
+        message += `Contract: <a href="https://bscscan.com/address/${deployment.contractAddress}">${deployment.contractAddress}</a>\n`;
+        
+        // 新合约是 ERC20 代币时显示代币信息
+        if (deployment.isToken) {
+            message += `Token: <a href="https://bscscan.com/token/${deployment.contractAddress}">${this.escapeHtml(deployment.tokenSymbol)}</a> (${this.escapeHtml(deployment.tokenName)})\n`;
+            message += `Supply: ${this.formatCompactAmount(deployment.formattedSupply)} ${this.escapeHtml(deployment.tokenSymbol)} · Decimals: ${deployment.tokenDecimals}\n`;
+        }
+        
+        // 构造函数中的转账（如初始发行的代币、附带的 BNB）
+        message += this.formatTransfers(received, sent, [], []);
+        
+        if (status) {
+            message += `${this.formatConfirmationStatus(status, confirmations)}\n`;
+        }
+        if (timestamp) {
+            message += `Time: ${this.formatBlockTime(timestamp)}${blockNumber ? ` (Block ${blockNumber})` : ''}\n`;
+        }
+        message += `<a href="https://bscscan.com/tx/${hash}">TX hash</a>`;
+        
+        return message.trim();
+    }
+
+    /**
+     * NFT 转账行，如 "Received: Pancake Squad #12, #13 From 0x1234...abcd"，从零地址转入显示为 Minted
+     * @param {Object} nft - NFT 转账记录（含 direction）
+     * @returns {string} HTML格式文本
+     */
+    static formatNftChange(nft) {
+        // 合集名称，没有时使用符号或合约地址
+        let collection = this.formatAddress(nft.tokenAddress);
+        if (nft.collectionName && nft.collectionName !== 'Unknown') {
+            collection = nft.collectionName;
+        } else if (nft.collectionSymbol && nft.collectionSymbol !== 'UNKNOWN') {
+            collection = nft.collectionSymbol;
+        }
+        const collectionLink = `<a href="https://bscscan.com/token/${nft.tokenAddress}">${this.escapeHtml(collection)}</a>`;
+        
+        // ERC1155 显示数量，如 #5 x3；token ID 过多时只显示前几个
+        const maxIds = 5;
+        const ids = nft.tokenIds.slice(0, maxIds).map((id, index) => {
+            const amount = nft.amounts[index];
+            const shortId = id.length > 12 ? `${id.slice(0, 6)}...${id.slice(-4)}` : id;
+            return nft.standard === 'erc1155' && amount !== '1' ? `#${shortId} x${amount}` : `#${shortId}`;
+        });
+        if (nft.tokenIds.length > maxIds) {
+            ids.push(`+${nft.tokenIds.length - maxIds} more`);
+        }
+        const items = `${collectionLink} ${ids.join(', ')}`;
+        
+        if (nft.direction === 'received') {
+            if (nft.from === ZERO_ADDRESS) {
+                return `Minted: ${items}`;
+            }
+            return `Received: ${items} From <a href="https://bscscan.com/address/${nft.from}">${this.getAddressNickname(nft.from)}</a>`;
+        }
+        if (nft.to === ZERO_ADDRESS) {
+            return `Burned: ${items}`;
+        }
+        return `Sent: ${items} To <a href="https://bscscan.com/address/${nft.to}">${this.getAddressNickname(nft.to)}</a>`;
+    }
+
+    /**
+     * 判断授权的风险，只有监控地址直接发起的授权操作（approve / permit 等）才有风险，撤销授权没有风险
+     * @param {Object} approval - 授权记录
+     * @returns {Array<string>} 风险列表: unlimited / eoa_spender
+     */
+    static getApprovalRisks(approval) {
+        if (!approval.approved || !approval.direct) {
+            return [];
+        }
+        
+        const risks = [];
+        if (approval.unlimited) {
+            risks.push('unlimited');
+        }
+        if (approval.spenderIsEOA) {
+            risks.push('eoa_spender');
+        }
+        return risks;
+    }
+
+    /**
+     * 授权的提示信息，只在提醒中展示，不触发提醒
+     * @param {Object} approval - 授权记录
+     * @returns {Array<string>} 提示列表: unknown_spender（被授权方不在地址备注中）
+     */
+    static getApprovalNotes(approval) {
+        if (!approval.approved || this.addressNicknames.has(approval.spender.toLowerCase())) {
+            return [];
+        }
+        return ['unknown_spender'];
+    }
+
+    /**
+     * 授权记录行，如 "Approve: 100 TOKEN To PancakeSwap V2"
+     * @param {Object} approval - 授权记录
+     * @returns {string} HTML格式文本
+     */
+    static formatApproval(approval) {
+        const tokenLink = `<a href="https://bscscan.com/token/${approval.tokenAddress}">${this.escapeHtml(approval.tokenSymbol)}</a>`;
+        const spenderLink = `<a href="https://bscscan.com/address/${approval.spender}">${this.getAddressNickname(approval.spender)}</a>`;
+        
+        if (approval.type === 'all') {
+            return approval.approved
+                ? `Approve All: ${tokenLink} To ${spenderLink}`
+                : `Revoke All: ${tokenLink} From ${spenderLink}`;
+        }
+        if (approval.type === 'erc721') {
+            return approval.approved
+                ? `Approve: ${tokenLink} #${approval.tokenId} To ${spenderLink}`
+                : `Revoke: ${tokenLink} #${approval.tokenId}`;
+        }
+        if (!approval.approved) {
+            return `Revoke: ${tokenLink} From ${spenderLink}`;
+        }
+        const amount = approval.unlimited ? 'Unlimited' : this.formatTokenValue(approval.formattedValue);
+        return `Approve: ${amount} ${tokenLink} To ${spenderLink}`;
+    }
+
+    /**
+     * 高风险授权提醒模板
+     * @param {Object} data - 授权数据
+     * @returns {string} HTML格式消息
+     */
+    static approvalAlert(data) {
+        const { hash, walletName, walletAddress, approvals, blockNumber, timestamp } = data;
+        const riskLabels = {
+            unlimited: 'unlimited amount',
+            unknown_spender: 'unknown spender',
+            eoa_spender: 'spender is not a contract'
+        };
+        
+        // 被授权方为普通地址时更可能是钓鱼
+        const severe = approvals.some(approval => approval.risks.some(risk => risk !== 'unlimited'));
+        let message = `${severe ? '🚨' : '⚠️'} APPROVAL ALERT · <a href="https://bscscan.com/address/${walletAddress}">${walletName}</a>\n`;
+        
+        approvals.forEach(approval => {
+            message += `${this.formatApproval(approval)}\n`;
+            message += `Risk: ${approval.risks.map(risk => riskLabels[risk]).join(', ')}\n`;
+            if ((approval.notes || []).length > 0) {
+                message += `Note: ${approval.notes.map(note => riskLabels[note]).join(', ')}\n`;
+            }
+        });
+        
+        if (timestamp) {
+            message += `Time: ${this.formatBlockTime(timestamp)}${blockNumber ? ` (Block ${blockNumber})` : ''}\n`;
+        }
+        message += `<a href="https://bscscan.com/tx/${hash}">TX hash</a>`;
+        
+        return message.trim();
+    }
+
+    /**
+     * 新币买入提醒模板
+     * @param {Object} data - 交易数据，含 swap、age（上线时长）、liquidity（池子流动性）、holders（已持有的其他监控地址数）
+     * @returns {string} HTML格式消息
+     */
+    static earlyBuyAlert(data) {
+        const { hash, walletName, walletAddress, swap, age, liquidity, holders, blockNumber, timestamp } = data;
+        
+        let message = `🚀 EARLY BUY · <a href="https://bscscan.com/address/${walletAddress}">${walletName}</a>\n`;
+        message += `${this.formatSwap(swap)}\n`;
+        
+        const origin = age.source === 'pair'
+            ? `<a href="https://bscscan.com/address/${age.pair}">pair</a> created at block ${age.blockNumber}`
+            : `deployed at block ${age.blockNumber}`;
+        message += `Token age: ${this.formatDuration(age.ageSeconds)} (${origin})\n`;
+        
+        if (liquidity) {
+            message += `Liquidity: ${this.formatCompactAmount(liquidity.quoteAmount)} ${liquidity.quoteSymbol}${this.formatUsdSuffix(liquidity.usdValue)}\n`;
+        } else {
+            message += 'Liquidity: unknown\n';
+        }
+        
+        if (holders !== null && holders !== undefined) {
+            message += `Watched holders: ${holders} other wallet${holders === 1 ? '' : 's'}\n`;
+        }
+        
+        if (timestamp) {
+            message += `Time: ${this.formatBlockTime(timestamp)}${blockNumber ? ` (Block ${blockNumber})` : ''}\n`;
+        }
+        message += `<a href="https://bscscan.com/tx/${hash}">TX hash</a>`;
+        
+        return message.trim();
+    }
+
+    /**
+     * 格式化时长，如 "3m 20s"、"1h 5m"
+     * @param {number} seconds - 秒数
+     * @returns {string} 时长文本
+     */
+    static formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = Math.floor(seconds % 60);
+        
+        if (hours > 0) {
+            return `${hours}h ${minutes}m`;
+        }
+        return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+    }
+
+    /**
+     * 兑换记录行，如 "BUY 1.2M TOKEN for 3.4 BNB"
+     * @param {Object} swap - 兑换记录
+     * @returns {string} HTML格式文本
+     */
+    static formatSwap(swap) {
+        const tokenLink = token => token.tokenAddress
+            ? `<a href="https://bscscan.com/token/${token.tokenAddress}">${this.escapeHtml(token.tokenSymbol)}</a>`
+            : this.escapeHtml(token.tokenSymbol);
+        
+        // BUY 以买入的代币开头，SELL 以卖出的代币开头
+        const [main, counter] = swap.direction === 'buy'
+            ? [swap.tokenOut, swap.tokenIn]
+            : [swap.tokenIn, swap.tokenOut];
+        let line = `${swap.direction.toUpperCase()} ${this.formatCompactAmount(main.amount)} ${tokenLink(main)} for ${this.formatCompactAmount(counter.amount)} ${tokenLink(counter)}${this.formatUsdSuffix(swap.usdValue)}`;
+        
+        if (swap.price !== null && swap.price !== undefined) {
+            line += `\nPrice: ${this.formatPrice(swap.price)} ${this.escapeHtml(counter.tokenSymbol)}`;
+        }
+        if (swap.pools && swap.pools.length > 0) {
+            line += ` · <a href="https://bscscan.com/address/${swap.pools[0]}">Pool</a>`;
+        }
+        return line;
+    }
+    
+    /**
+     * 美元价值后缀，如 " ($1.2K)"，没有价格时为空
+     * @param {number|null} usdValue - 美元价值
+     * @returns {string} 后缀文本
+     */
+    static formatUsdSuffix(usdValue) {
+        if (usdValue === null || usdValue === undefined) {
+            return '';
+        }
+        return ` ($${this.formatCompactAmount(usdValue, 2)})`;
+    }
+    
+    /**
+     * 盈亏文本，如 "+0.52 BNB (+$310, +35.2%)"
+     * @param {number|null} bnb - BNB 盈亏
+     * @param {number|null} usd - 美元盈亏
+     * @param {number|null} percent - 盈亏比例
+     * @returns {string} 盈亏文本
+     */
+    static formatPnl(bnb, usd, percent = null) {
+        const sign = value => value < 0 ? '-' : '+';
+        const parts = [];
+        if (usd !== null && usd !== undefined) {
+            parts.push(`${sign(usd)}$${this.formatCompactAmount(Math.abs(usd), 2)}`);
+        }
+        if (percent !== null && percent !== undefined) {
+            parts.push(`${sign(percent)}${Math.abs(percent).toFixed(1)}%`);
+        }
+        
+        const bnbText = bnb !== null && bnb !== undefined ? `${sign(bnb)}${this.formatCompactAmount(Math.abs(bnb))} BNB` : 'N/A';
+        return parts.length > 0 ? `${bnbText} (${parts.join(', ')})` : bnbText;
+    }
+    
+    /**
+     * 格式化单价，小于 1 时保留 4 位有效数字
+     * @param {number} price - 单价
+     * @returns {string} 格式化后的单价
+     */
+    static formatPrice(price) {
+        if (price >= 1) {
+            return parseFloat(price.toFixed(4)).toString();
+        }
+        return parseFloat(price.toPrecision(4)).toString();
+    }
+    
     /**
      * 交易消息模板（统一处理BNB和代币）
      * @param {Object} data - 交易数据
@@ -164,46 +617,280 @@ class MessageTemplates {
             walletName, 
             walletAddress,
             received, 
-            sent 
+            sent,
+            status,
+            confirmations,
+            blockNumber,
+            timestamp,
+            swaps,
+            wraps,
+            approvals,
+            nfts,
+            trades,
+            legs,
+            method,
+            failed,
+            revertReason
         } = data;
         
         let message = `<a href="https://bscscan.com/address/${walletAddress}">${walletName}</a> · BNB\n`;
         
-        // 处理接收
-        if (received && received.length > 0) {
-            received.forEach(item => {
-                if (item.type === 'bnb') {
-                    const fromNickname = this.getAddressNickname(item.from);
-                    message += `Received: ${item.formattedValue} BNB From <a href="https://bscscan.com/address/${item.from}">${fromNickname}</a>\n`;
-                } else if (item.type === 'token') {
-                    const fromNickname = this.getAddressNickname(item.from);
-                    // 格式化代币数值为4位小数
-                    const formattedTokenValue = this.formatTokenValue(item.formattedValue);
-                    message += `Received: ${formattedTokenValue} <a href="https://bscscan.com/token/${item.tokenAddress}">${item.tokenSymbol}</a> From <a href="https://bscscan.com/address/${item.from}">${fromNickname}</a>\n`;
-                }
+        if (failed) {
+            message += this.formatFailedTransaction(revertReason, sent);
+        } else {
+            message += this.formatTransfers(received, sent, swaps, wraps);
+            
+            // 卖出的已实现盈亏
+            (trades || []).filter(trade => trade.realizedBnb !== null).forEach(trade => {
+                message += `Realized PnL: ${this.formatPnl(trade.realizedBnb, trade.realizedUsd, trade.realizedPercent)}\n`;
+            });
+            (nfts || []).forEach(nft => {
+                message += `${this.formatNftChange(nft)}\n`;
             });
+            (approvals || []).forEach(approval => {
+                message += `${this.formatApproval(approval)}\n`;
+            });
+            
+            // 净变化与原始转账不同（有中间转账被合并）时附上明细
+            if (legs && legs.received.length + legs.sent.length > received.length + sent.length) {
+                message += this.formatTransferLegs(legs);
+            }
         }
         
-        // 处理发送
-        if (sent && sent.length > 0) {
-            sent.forEach(item => {
-                if (item.type === 'bnb') {
-                    const toNickname = this.getAddressNickname(item.to);
-                    // 将负值转换为正值显示
-                    const displayValue = item.formattedValue.startsWith('-') 
-                        ? item.formattedValue.substring(1) 
-                        : item.formattedValue;
-                    message += `Sent: ${displayValue} BNB To <a href="https://bscscan.com/address/${item.to}">${toNickname}</a>\n`;
-                } else if (item.type === 'token') {
-                    const toNickname = this.getAddressNickname(item.to);
-                    // 将负值转换为正值显示并格式化代币数值为4位小数
-                    const displayValue = item.formattedValue.startsWith('-') 
-                        ? item.formattedValue.substring(1) 
-                        : item.formattedValue;
-                    const formattedTokenValue = this.formatTokenValue(displayValue);
-                    message += `Sent: ${formattedTokenValue} <a href="https://bscscan.com/token/${item.tokenAddress}">${item.tokenSymbol}</a> To <a href="https://bscscan.com/address/${item.to}">${toNickname}</a>\n`;
-                }
+        // 调用的方法
+        if (method) {
+            message += `Method: <code>${this.formatMethodCall(method)}</code>\n`;
+        }
+        
+        // 确认状态
+        if (status) {
+            message += `${this.formatConfirmationStatus(status, confirmations)}\n`;
+        }
+        
+        // 区块时间
+        if (timestamp) {
+            message += `Time: ${this.formatBlockTime(timestamp)}${blockNumber ? ` (Block ${blockNumber})` : ''}\n`;
+        }
+        
+        message += `<a href="https://bscscan.com/tx/${hash}">TX hash</a>`;
+        
+        return message.trim();
+    }
+
+    /**
+     * 包装原生币（WBNB 等）按 BNB 展示时，注明实际的代币
+     * @param {Object} item - 收发记录
+     * @returns {string} HTML格式文本
+     */
+    static formatWrappedSuffix(item) {
+        return item.wrapped
+            ? ` (<a href="https://bscscan.com/token/${item.tokenAddress}">${this.escapeHtml(item.tokenSymbol)}</a>)`
+            : '';
+    }
+
+    /**
+     * 转义 HTML 特殊字符（用于合约返回的文本）
+     * @param {string} text - 文本
+     * @returns {string} 转义后的文本
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * 失败交易: 失败原因和附带的 BNB（已退回）
+     * @param {string|null} revertReason - 失败原因
+     * @param {Array} sent - 发送记录
+     * @returns {string} HTML格式文本
+     */
+    static formatFailedTransaction(revertReason, sent) {
+        let message = `❌ FAILED: ${this.escapeHtml(revertReason || 'execution reverted')}\n`;
+        (sent || []).filter(item => item.type === 'bnb').forEach(item => {
+            const displayValue = item.formattedValue.startsWith('-')
+                ? item.formattedValue.substring(1)
+                : item.formattedValue;
+            message += `Value: ${displayValue} BNB (refunded)\n`;
+        });
+        return message;
+    }
+
+    /**
+     * 兑换记录和收发记录
+     * @param {Array} received - 接收记录
+     * @param {Array} sent - 发送记录
+     * @param {Array} swaps - 兑换记录
+     * @param {Array} wraps - 包装/解包记录
+     * @returns {string} HTML格式文本
+     */
+    static formatTransfers(received, sent, swaps, wraps) {
+        let message = '';
+        
+        // DEX 兑换: 已由兑换记录覆盖的资产不再逐条列出收发
+        const swapAssets = new Set();
+        (swaps || []).forEach(swap => {
+            message += `${this.formatSwap(swap)}\n`;
+            [swap.tokenIn, swap.tokenOut].forEach(token => {
+                swapAssets.add(token.tokenAddress ? token.tokenAddress.toLowerCase() : 'bnb');
             });
+        });
+        const isSwapped = item => swapAssets.has(item.type === 'bnb' ? 'bnb' : item.tokenAddress.toLowerCase());
+        
+        // 包装/解包
+        (wraps || []).forEach(wrap => {
+            const tokenLink = `<a href="https://bscscan.com/token/${wrap.tokenAddress}">${this.escapeHtml(wrap.tokenSymbol)}</a>`;
+            message += wrap.type === 'wrap'
+                ? `Wrap: ${wrap.formattedValue} BNB → ${tokenLink}\n`
+                : `Unwrap: ${wrap.formattedValue} ${tokenLink} → BNB\n`;
+        });
+        
+        // 处理接收和发送（已合并为每种资产的净变化）
+        (received || []).filter(item => !isSwapped(item)).forEach(item => {
+            message += `${this.formatTransferLine(item, 'received')}\n`;
+        });
+        (sent || []).filter(item => !isSwapped(item)).forEach(item => {
+            message += `${this.formatTransferLine(item, 'sent')}\n`;
+        });
+        
+        return message;
+    }
+
+    /**
+     * 收发记录行，如 "Received: 1.5 BNB From PancakeSwap V2"，对方不唯一时不显示对方
+     * @param {Object} item - 收发记录
+     * @param {string} direction - received / sent
+     * @returns {string} HTML格式文本
+     */
+    static formatTransferLine(item, direction) {
+        // 将负值转换为正值显示
+        const displayValue = item.formattedValue.startsWith('-')
+            ? item.formattedValue.substring(1)
+            : item.formattedValue;
+        
+        // 代币数值格式化为4位小数
+        const asset = item.type === 'bnb'
+            ? `${displayValue} BNB${this.formatWrappedSuffix(item)}`
+            : `${this.formatTokenValue(displayValue)} <a href="https://bscscan.com/token/${item.tokenAddress}">${this.escapeHtml(item.tokenSymbol)}</a>`;
+        
+        const counterparty = direction === 'received' ? item.from : item.to;
+        const counterpartyText = counterparty
+            ? ` ${direction === 'received' ? 'From' : 'To'} <a href="https://bscscan.com/address/${counterparty}">${this.getAddressNickname(counterparty)}</a>`
+            : '';
+        
+        return `${direction === 'received' ? 'Received' : 'Sent'}: ${asset}${this.formatUsdSuffix(item.usdValue)}${counterpartyText}`;
+    }
+
+    /**
+     * 原始收发明细（合并净变化前的每一笔转账）
+     * @param {Object} legs - { received, sent }
+     * @returns {string} HTML格式文本
+     */
+    static formatTransferLegs(legs) {
+        let message = 'Details:\n';
+        legs.received.forEach(item => {
+            message += `  ${this.formatTransferLine(item, 'received')}\n`;
+        });
+        legs.sent.forEach(item => {
+            message += `  ${this.formatTransferLine(item, 'sent')}\n`;
+        });
+        return message;
+    }
+
+    /**
+     * 合并每种资产的收发为净变化，去掉净变化为 0 的中间转账
+     * 包装原生币（WBNB 等）与 BNB 合并计算
+     * @param {Array} received - 接收记录
+     * @param {Array} sent - 发送记录
+     * @returns {Object} { received, sent } 净收入和净支出，对方唯一时保留对方地址
+     */
+    static netTransfers(received, sent) {
+        const assets = new Map();
+        const track = (item, sign) => {
+            const key = item.type === 'bnb' ? 'bnb' : item.tokenAddress.toLowerCase();
+            if (!assets.has(key)) {
+                assets.set(key, { item, amount: 0n, wrappedOnly: true, sources: new Set(), targets: new Set() });
+            }
+            const asset = assets.get(key);
+            const decimals = item.type === 'bnb' ? 18 : (item.decimals ?? 18);
+            asset.amount += sign * ethers.parseUnits(item.formattedValue.replace(/^-/, ''), decimals);
+            asset.wrappedOnly = asset.wrappedOnly && !!item.wrapped;
+            if (sign > 0n) {
+                asset.sources.add(item.from);
+            } else {
+                asset.targets.add(item.to);
+            }
+        };
+        received.forEach(item => track(item, 1n));
+        sent.forEach(item => track(item, -1n));
+        
+        const net = { received: [], sent: [] };
+        for (const asset of assets.values()) {
+            if (asset.amount === 0n) {
+                continue;
+            }
+            const { item } = asset;
+            const amount = asset.amount > 0n ? asset.amount : -asset.amount;
+            const decimals = item.type === 'bnb' ? 18 : (item.decimals ?? 18);
+            const netItem = {
+                ...item,
+                wrapped: asset.wrappedOnly,
+                formattedValue: ethers.formatUnits(amount, decimals)
+            };
+            
+            if (asset.amount > 0n) {
+                net.received.push({ ...netItem, from: asset.sources.size === 1 ? [...asset.sources][0] : null });
+            } else {
+                net.sent.push({ ...netItem, to: asset.targets.size === 1 ? [...asset.targets][0] : null });
+            }
+        }
+        return net;
+    }
+
+    /**
+     * 内存池待打包交易提醒模板
+     * @param {Object} data - 待打包交易数据
+     * @returns {string} HTML格式消息
+     */
+    static pendingTransaction(data) {
+        const {
+            hash,
+            walletName,
+            walletAddress,
+            to,
+            value,
+            transactionType,
+            methodSignature,
+            method,
+            decodedInput,
+            status,
+            blockNumber
+        } = data;
+        
+        let message = `${this.formatPendingStatus(status, blockNumber)} · <a href="https://bscscan.com/address/${walletAddress}">${walletName}</a>\n`;
+        
+        // 将负值转换为正值显示
+        const displayValue = value && value.startsWith('-') ? value.substring(1) : value;
+        const hasValue = displayValue && displayValue !== '0' && displayValue !== '0.0';
+        
+        if (decodedInput) {
+            const { method, args, tokenAddress, tokenSymbol } = decodedInput;
+            const tokenLink = `<a href="https://bscscan.com/token/${tokenAddress}">${this.escapeHtml(tokenSymbol)}</a>`;
+            
+            if (method === 'approve') {
+                const spenderNickname = this.getAddressNickname(args.spender);
+                message += `Approve: ${this.formatTokenValue(args.amount)} ${tokenLink} To <a href="https://bscscan.com/address/${args.spender}">${spenderNickname}</a>\n`;
+            } else {
+                const toNickname = this.getAddressNickname(args.to);
+                message += `Send: ${this.formatTokenValue(args.amount)} ${tokenLink} To <a href="https://bscscan.com/address/${args.to}">${toNickname}</a>\n`;
+            }
+        } else if (transactionType === 'bnb_transfer') {
+            const toNickname = this.getAddressNickname(to);
+            message += `Send: ${displayValue} BNB To <a href="https://bscscan.com/address/${to}">${toNickname}</a>\n`;
+        } else {
+            const toNickname = this.getAddressNickname(to);
+            message += `Call: <code>${method ? this.formatMethodCall(method) : (methodSignature || transactionType)}</code> On <a href="https://bscscan.com/address/${to}">${toNickname}</a>\n`;
+            if (hasValue) {
+                message += `Value: ${displayValue} BNB\n`;
+            }
         }
         
         message += `<a href="https://bscscan.com/tx/${hash}">TX hash</a>`;
@@ -211,6 +898,60 @@ class MessageTemplates {
         return message.trim();
     }
 
+    /**
+     * 格式化待打包交易状态
+     * @param {string} status - pending / mined / dropped
+     * @param {number} blockNumber - 打包区块号
+     * @returns {string} 状态文本
+     */
+    static formatPendingStatus(status, blockNumber) {
+        switch (status) {
+            case 'pending':
+                return '⏳ Pending';
+            case 'mined':
+                return `⛏️ Mined in block ${blockNumber}`;
+            case 'dropped':
+                return '❌ Dropped';
+            default:
+                return status;
+        }
+    }
+
+    /**
+     * 格式化确认状态
+     * @param {string} status - pending / confirmed / dropped
+     * @param {number} confirmations - 确认区块数
+     * @returns {string} 状态文本
+     */
+    static formatConfirmationStatus(status, confirmations) {
+        switch (status) {
+            case 'pending':
+                return `⏳ Pending (waiting for ${confirmations} confirmations)`;
+            case 'confirmed':
+                return `✅ Confirmed (${confirmations} blocks)`;
+            case 'dropped':
+                return `❌ Dropped (no longer on chain)`;
+            default:
+                return status;
+        }
+    }
+
+    /**
+     * 链重组回滚更正消息模板
+     * @param {Object} data - 回滚交易数据
+     * @returns {string} HTML格式消息
+     */
+    static reverted(data) {
+        const { hash, blockNumber, walletName, walletAddress } = data;
+        
+        return `
+<b>↩️ Reverted (chain reorg)</b>
+<a href="https://bscscan.com/address/${walletAddress}">${walletName}</a>
+The transaction in block ${blockNumber} is no longer on chain, ignore the previous notification.
+<a href="https://bscscan.com/tx/${hash}">TX hash</a>
+        `.trim();
+    }
+
     /**
      * 纯BNB转账消息模板
      * @param {Object} data - 交易数据
@@ -289,6 +1030,45 @@ class MessageTemplates {
         `.trim();
     }
 
+    /**
+     * 重启补扫消息模板
+     * @param {Object} data - 补扫数据
+     * @returns {string} HTML格式消息
+     */
+    static catchUp(data) {
+        const { savedBlock, latestBlock, replayBlocks, skippedBlocks } = data;
+        
+        let message = `
+<b>⏪ 恢复扫描进度</b>
+
+<b>上次处理区块:</b> ${savedBlock}
+<b>当前最新区块:</b> ${latestBlock}
+<b>补扫区块数:</b> ${replayBlocks}`;
+
+        if (skippedBlocks > 0) {
+            message += `\n<b>⚠️ 超出补扫上限，已跳过:</b> ${skippedBlocks} 个区块`;
+        }
+        
+        return message.trim();
+    }
+
+    /**
+     * 区块跳过提醒模板
+     * @param {Object} data - { blockNumber, retries }
+     * @returns {string} HTML格式消息
+     */
+    static blockSkipped(data) {
+        const { blockNumber, retries } = data;
+        
+        return `
+<b>⚠️ 区块已跳过</b>
+
+<b>区块:</b> <a href="https://bscscan.com/block/${blockNumber}">${blockNumber}</a>
+<b>原因:</b> 重试 ${retries} 次后仍无法获取区块或交易收据
+<b>影响:</b> 该区块中的交易不会推送，请手动检查
+        `.trim();
+    }
+
     /**
      * 错误消息模板
      * @param {Object} data - 错误数据
@@ -331,6 +1111,27 @@ class MessageTemplates {
         `.trim();
     }
 
+    /**
+     * 格式化RPC节点健康状态（纯文本，用于统计信息）
+     * @param {Array} endpoints - 节点状态列表
+     * @returns {string} 格式化后的文本，没有多节点时为空
+     */
+    static formatRpcEndpoints(endpoints) {
+        if (!endpoints || endpoints.length === 0) {
+            return '';
+        }
+        
+        let result = '\n\nRPC节点:';
+        endpoints.forEach((endpoint, index) => {
+            const status = endpoint.healthy ? '✅' : '❌';
+            const lag = endpoint.lag === null ? 'N/A' : endpoint.lag;
+            result += `\n${index + 1}. ${status} ${endpoint.host}`;
+            result += `\n   延迟: ${endpoint.latency}ms | 错误率: ${(endpoint.errorRate * 100).toFixed(1)}% | 落后区块: ${lag}`;
+        });
+        
+        return result;
+    }
+
     /**
      * 格式化地址显示（截取前后部分）
      * @param {string} address - 完整地址
@@ -345,6 +1146,27 @@ class MessageTemplates {
         return `${address.slice(0, prefixLength)}...${address.slice(-suffixLength)}`;
     }
 
+    /**
+     * 格式化调用方法，如 swapExactETHForTokens(0, [0xbb4C...095c, 0x1234...abcd], 0x5678...ef01, 1700000000)
+     * @param {Object} method - 解析出的方法 { name, args }
+     * @returns {string} 方法名和参数（已转义，可直接放入 HTML）
+     */
+    static formatMethodCall(method) {
+        if (!method.args) {
+            return method.name;
+        }
+        
+        const formatArg = arg => {
+            if (Array.isArray(arg)) {
+                return `[${arg.map(formatArg).join(', ')}]`;
+            }
+            const text = String(arg);
+            // 地址和长数据缩写显示；字符串参数可能包含任意内容，需要转义
+            return this.escapeHtml(text.startsWith('0x') && text.length > 12 ? this.formatAddress(text) : text);
+        };
+        return `${this.escapeHtml(method.name)}(${method.args.map(formatArg).join(', ')})`;
+    }
+
     /**
      * 格式化时间显示
      * @param {string} timestamp - 时间戳字符串
@@ -366,6 +1188,19 @@ class MessageTemplates {
         }
     }
 
+    /**
+     * 格式化区块时间（UTC）
+     * @param {string} timestamp - ISO 时间字符串
+     * @returns {string} 如 2024-01-01 12:00:00 UTC
+     */
+    static formatBlockTime(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) {
+            return timestamp;
+        }
+        return `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+    }
+
     /**
      * 格式化金额显示
      * @param {string} amount - 金额字符串
@@ -388,6 +1223,33 @@ class MessageTemplates {
             return amount;
         }
     }
+
+    /**
+     * 紧凑格式的金额（兑换、估值等），去掉末尾的 0，小于 1 时保留有效数字，如 1.5K、0.0001234
+     * @param {string|number} amount - 金额
+     * @param {number} decimals - 小数位数（小于 1 时为有效数字位数）
+     * @returns {string} 格式化后的金额
+     */
+    static formatCompactAmount(amount, decimals = 4) {
+        try {
+            const num = parseFloat(amount);
+            if (isNaN(num)) return amount;
+            
+            if (num >= 1000000000) {
+                return `${parseFloat((num / 1000000000).toFixed(2))}B`;
+            } else if (num >= 1000000) {
+                return `${parseFloat((num / 1000000).toFixed(2))}M`;
+            } else if (num >= 1000) {
+                return `${parseFloat((num / 1000).toFixed(2))}K`;
+            } else if (num >= 1 || num === 0) {
+                return parseFloat(num.toFixed(decimals)).toString();
+            } else {
+                return parseFloat(num.toPrecision(decimals)).toString();
+            }
+        } catch (error) {
+            return amount;
+        }
+    }
 }
 
 module.exports = MessageTemplates;
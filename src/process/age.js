@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+
+// PancakeSwap V2 工厂的 PairCreated(address indexed token0, address indexed token1, address pair, uint256) 事件签名
+const PAIR_CREATED_EVENT_SIGNATURE = '0x0d3648bd0f6ba80134a33ba9275ac585d9d315f0ad8355cddefde31afa28d0e9';
+
+/**
+ * 代币上线时间 - 用于识别买入新币
+ * 优先在 PancakeSwap V2 工厂的 PairCreated 事件中查找建池区块，没有 V2 池子时二分查找合约的部署区块
+ * 只在最大年龄对应的区块范围内查找，范围内找不到的代币视为老币（结果缓存）
+ */
+class TokenAge {
+    /**
+     * @param {Object} provider - 节点 provider
+     * @param {Logger} logger - 日志器
+     * @param {PriceOracle} prices - 链上价格（用于获取工厂地址）
+     * @param {Object} options - 配置
+     * @param {number} options.logChunkSize - 每次 getLogs 查询的区块数
+     */
+    constructor(provider, logger, prices, options = {}) {
+        this.provider = provider;
+        this.logger = logger;
+        this.prices = prices;
+
+        this.config = {
+            logChunkSize: parseInt(options.logChunkSize || process.env.TOKEN_AGE_LOG_CHUNK) || 5000,
+            blockTimeSample: 1000, // 估算出块时间时采样的区块数
+            failureRetryInterval: 5 * 60 * 1000, // 查询失败（节点超时等）后多久重新查询
+            maxCached: 10000 // 最多缓存的代币数
+        };
+
+        // 代币地址（小写）-> { blockNumber, timestamp, pair, source }，老币为 { olderThan: 区块号 }
+        this.created = new Map();
+
+        // 查询失败的代币地址（小写）-> 重新查询的时间
+        this.failures = new Map();
+
+        // 平均出块时间(秒)
+        this.blockTime = null;
+    }
+
+    /**
+     * 查询代币在某个区块时的上线时长
+     * @param {string} tokenAddress - 代币地址
+     * @param {number} blockNumber - 交易所在区块
+     * @param {number} timestamp - 交易时间（秒）
+     * @param {number} maxAge - 最大年龄（秒），超过该年龄的代币不再查找
+     * @returns {Promise<Object|null>} { ageSeconds, blockNumber, timestamp, pair, source } source 为 pair（建池）或 deploy（部署），老币或查询失败时为 null
+     */
+    async getAge(tokenAddress, blockNumber, timestamp, maxAge) {
+        const key = tokenAddress.toLowerCase();
+        if (this.failures.get(key) > Date.now()) {
+            return null;
+        }
+
+        let fromBlock = null;
+        try {
+            const blockTime = await this.estimateBlockTime(blockNumber);
+            fromBlock = Math.max(0, blockNumber - Math.ceil(maxAge / blockTime * 1.1));
+
+            let created = this.created.get(key);
+            if (created && created.olderThan !== undefined && created.olderThan <= fromBlock) {
+                return null;
+            }
+
+            if (!created || created.olderThan !== undefined) {
+                const found = await this.findPairCreation(key, fromBlock, blockNumber)
+                    || await this.findDeployment(key, fromBlock, blockNumber);
+                if (!found) {
+                    this.remember(key, { olderThan: fromBlock });
+                    return null;
+                }
+
+                const block = await this.provider.getBlock(found.blockNumber);
+                created = { ...found, timestamp: block.timestamp };
+                this.remember(key, created);
+            }
+            this.failures.delete(key);
+
+            const ageSeconds = Math.max(0, timestamp - created.timestamp);
+            return ageSeconds <= maxAge ? { ageSeconds, ...created } : null;
+        } catch (error) {
+            this.logger.warn(`⚠️ 查询代币上线时间失败 ${tokenAddress}:`, error.shortMessage || error.message);
+
+            // 节点限制 getLogs 范围时重试结果不变，按老币缓存；其他错误（超时、非归档节点等）稍后重新查询
+            if (fromBlock !== null && TokenAge.isRangeLimitError(error)) {
+                this.remember(key, { olderThan: fromBlock });
+            } else {
+                this.pruneFailures();
+                this.failures.set(key, Date.now() + this.config.failureRetryInterval);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * 是否为节点限制 getLogs 区块范围的错误
+     * @param {Error} error - 错误
+     * @returns {boolean} 是否为范围限制
+     */
+    static isRangeLimitError(error) {
+        const message = `${error.shortMessage || ''} ${error.error?.message || error.info?.error?.message || ''} ${error.message || ''}`;
+        return /block range|range (is )?too (large|wide)|limited to .*range/i.test(message);
+    }
+
+    /**
+     * 写入上线时间缓存，超出数量上限时删除最早的记录
+     * @param {string} key - 代币地址（小写）
+     * @param {Object} created - 上线信息或 { olderThan }
+     */
+    remember(key, created) {
+        this.created.delete(key);
+        if (this.created.size >= this.config.maxCached) {
+            this.created.delete(this.created.keys().next().value);
+        }
+        this.created.set(key, created);
+    }
+
+    /**
+     * 清除已到重试时间的失败记录
+     */
+    pruneFailures() {
+        const now = Date.now();
+        for (const [key, retryAt] of this.failures) {
+            if (retryAt <= now) {
+                this.failures.delete(key);
+            }
+        }
+    }
+
+    /**
+     * 在工厂的 PairCreated 事件中查找代币最早的建池区块
+     * @param {string} token - 代币地址（小写）
+     * @param {number} fromBlock - 起始区块
+     * @param {number} toBlock - 结束区块
+     * @returns {Promise<Object|null>} { blockNumber, pair, source }
+     */
+    async findPairCreation(token, fromBlock, toBlock) {
+        const factory = await this.prices.getFactory();
+        const tokenTopic = ethers.zeroPadValue(token, 32);
+
+        for (let start = fromBlock; start <= toBlock; start += this.config.logChunkSize) {
+            const end = Math.min(start + this.config.logChunkSize - 1, toBlock);
+
+            // 代币可能是池子的 token0 或 token1
+            const [asToken0, asToken1] = await Promise.all([
+                this.provider.getLogs({ address: factory, fromBlock: start, toBlock: end, topics: [PAIR_CREATED_EVENT_SIGNATURE, tokenTopic] }),
+                this.provider.getLogs({ address: factory, fromBlock: start, toBlock: end, topics: [PAIR_CREATED_EVENT_SIGNATURE, null, tokenTopic] })
+            ]);
+
+            const logs = [...asToken0, ...asToken1].sort((a, b) => a.blockNumber - b.blockNumber);
+            if (logs.length > 0) {
+                return {
+                    blockNumber: logs[0].blockNumber,
+                    pair: ethers.dataSlice(logs[0].data, 12, 32),
+                    source: 'pair'
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 二分查找合约的部署区块（需要节点保留历史状态）
+     * @param {string} token - 代币地址（小写）
+     * @param {number} fromBlock - 起始区块，此时已有代码说明是老币
+     * @param {number} toBlock - 结束区块
+     * @returns {Promise<Object|null>} { blockNumber, pair, source }
+     */
+    async findDeployment(token, fromBlock, toBlock) {
+        if (await this.provider.getCode(token, fromBlock) !== '0x') {
+            return null;
+        }
+        if (await this.provider.getCode(token, toBlock) === '0x') {
+            return null;
+        }
+
+        let low = fromBlock;
+        let high = toBlock;
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if (await this.provider.getCode(token, middle) === '0x') {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return { blockNumber: high, pair: null, source: 'deploy' };
+    }
+
+    /**
+     * 按最近区块的时间戳估算平均出块时间
+     * @param {number} blockNumber - 参考区块
+     * @returns {Promise<number>} 出块时间(秒)
+     */
+    async estimateBlockTime(blockNumber) {
+        if (this.blockTime) {
+            return this.blockTime;
+        }
+
+        const sample = Math.min(this.config.blockTimeSample, blockNumber);
+        const [latest, earlier] = await Promise.all([
+            this.provider.getBlock(blockNumber),
+            this.provider.getBlock(blockNumber - sample)
+        ]);
+        if (!latest || !earlier || sample === 0) {
+            return 3;
+        }
+
+        this.blockTime = Math.max((latest.timestamp - earlier.timestamp) / sample, 0.1);
+        return this.blockTime;
+    }
+}
+
+module.exports = TokenAge;
@@ -0,0 +1,399 @@
+const { ethers } = require('ethers');
+const BlockScanner = require('./scan');
+const BlockRetryQueue = require('./retry');
+const RefRedis = require('../db/redis');
+const Logger = require('../utils/logger');
+require('dotenv').config();
+
+/**
+ * 共享扫描中心 - 多个 WalletMonitor 共用一个区块扫描器
+ * 每个区块和收据只获取一次，按所有实例监控地址的并集过滤交易，
+ * 再把扫描结果分发给每个实例，由实例按自己的监控地址、阈值和聊天推送
+ */
+class ScanHub {
+    /**
+     * @param {Object} options - 配置
+     * @param {string|Array<string>} options.rpcUrls - RPC 节点
+     * @param {number} options.scanInterval - 轮询间隔(ms)
+     * @param {number} options.batchSize - 每次处理的区块数
+     * @param {string} options.scanMode - push / poll
+     * @param {string} options.wsUrl - 新区块/内存池订阅使用的 WebSocket 节点
+     * @param {string} options.scanStrategy - blocks: 完整区块扫描; logs: 按 Transfer 日志扫描
+     * @param {RefRedis} options.redis - 保存重试队列的数据库（不提供则按 redisPrefix 创建）
+     * @param {string} options.redisPrefix - 数据库前缀，默认 hub:
+     * @param {number} options.maxRetries - 失败区块最多重试次数
+     * @param {Logger} options.logger - 日志器（不提供则按 instanceName 创建）
+     */
+    constructor(options = {}) {
+        const rpcUrls = BlockScanner.parseProviderUrls(options.rpcUrls || process.env.RPC_URL || 'https://dragon.maiko.icu/bsc2h');
+        const rpcWsUrl = rpcUrls.find(url => BlockScanner.isWebSocketUrl(url)) || null;
+
+        this.config = {
+            scanInterval: parseInt(options.scanInterval || process.env.SCAN_INTERVAL) || 3000,
+            batchSize: parseInt(options.batchSize || process.env.BATCH_SIZE) || 5,
+            wsUrl: options.wsUrl || process.env.WS_RPC_URL || rpcWsUrl,
+            scanMode: options.scanMode || process.env.SCAN_MODE || (rpcWsUrl ? 'push' : 'poll'),
+            scanStrategy: options.scanStrategy || process.env.SCAN_STRATEGY || 'blocks',
+            retryBatchSize: 5, // 每轮最多重试的区块数
+            rpcUrls
+        };
+
+        // 处理失败的区块进入重试队列
+        this.ownsRedis = !options.redis;
+        this.redis = options.redis || new RefRedis({ url: process.env.REDIS_URL || 'redis://127.0.0.1:6379' }, options.redisPrefix || 'hub:');
+        this.retryQueue = new BlockRetryQueue(this.redis, {
+            maxAttempts: parseInt(options.maxRetries || process.env.MAX_BLOCK_RETRIES) || 5
+        });
+
+        this.logger = options.logger || new Logger(options.instanceName || 'hub');
+        this.scanner = new BlockScanner(rpcUrls, this.logger);
+        this.scanner.processor.tokenCache.setRedis(this.redis);
+        this.scanner.on('reverted', tx => this.dispatch(monitor => monitor.handleRevertedTransaction(tx)));
+        this.scanner.on('pending', tx => this.dispatch(monitor => monitor.handlePendingTransaction(tx), monitor => monitor.config.watchPending));
+        this.scanner.on('headsDisconnected', () => this.logger.warn('⚠️ 新区块订阅断开，回退为轮询模式'));
+        this.scanner.on('blockFailed', ({ blockNumber }) => this.failedBlocks.add(blockNumber));
+
+        // 已注册的监控实例
+        this.monitors = new Set();
+
+        // 状态
+        this.isRunning = false;
+        this.isScanning = false;
+        this.scanRequested = false;
+        this.pendingWatchStarted = false;
+        this.lastProcessedBlock = 0;
+        this.failedBlocks = new Set(); // 本轮扫描中失败、待加入重试队列的区块
+    }
+
+    /**
+     * 注册监控实例，把实例的监控地址加入扫描器
+     * @param {WalletMonitor} monitor - 监控实例
+     */
+    register(monitor) {
+        this.monitors.add(monitor);
+        monitor.monitoredAddresses.forEach(address => this.scanner.addWatchedAddress(address));
+        this.updateScannerConfig();
+
+        // 运行中注册的实例进度落后时，从它的进度继续扫描
+        if (this.isRunning && monitor.lastProcessedBlock < this.lastProcessedBlock) {
+            this.lastProcessedBlock = monitor.lastProcessedBlock;
+        }
+        this.logger.log(`🔗 已注册监控实例: ${monitor.config.redisPrefix} (共 ${this.monitors.size} 个)`);
+    }
+
+    /**
+     * 注销监控实例，移除不再被任何实例监控的地址
+     * @param {WalletMonitor} monitor - 监控实例
+     */
+    unregister(monitor) {
+        if (!this.monitors.delete(monitor)) {
+            return;
+        }
+        monitor.monitoredAddresses.forEach(address => this.unwatchAddress(address));
+        this.updateScannerConfig();
+    }
+
+    /**
+     * 添加监控地址
+     * @param {string} address - 钱包地址
+     */
+    watchAddress(address) {
+        this.scanner.addWatchedAddress(address);
+    }
+
+    /**
+     * 移除监控地址（仍被其他实例监控的地址保留）
+     * @param {string} address - 钱包地址
+     */
+    unwatchAddress(address) {
+        const lowerAddress = address.toLowerCase();
+        for (const monitor of this.monitors) {
+            if (monitor.monitoredAddresses.has(lowerAddress)) {
+                return;
+            }
+        }
+        this.scanner.removeWatchedAddress(address);
+    }
+
+    /**
+     * 按已注册实例更新扫描器配置，金额下限取各实例中最小的，再由实例自己过滤
+     */
+    updateScannerConfig() {
+        let minValue = null;
+        for (const monitor of this.monitors) {
+            if (minValue === null || monitor.config.minValue < minValue) {
+                minValue = monitor.config.minValue;
+            }
+        }
+
+        this.scanner.setConfig({
+            minValue: minValue ?? 0n,
+            maxValue: ethers.parseEther('10000'),
+            delay: 100,
+            strategy: this.config.scanStrategy
+        });
+    }
+
+    /**
+     * 启动扫描，从各实例中最早的扫描进度开始
+     */
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        const cursors = Array.from(this.monitors, monitor => monitor.lastProcessedBlock);
+        this.lastProcessedBlock = cursors.length > 0
+            ? Math.min(...cursors)
+            : await this.scanner.getLatestBlockNumber();
+
+        try {
+            const queued = await this.retryQueue.refreshSize();
+            if (queued > 0) {
+                this.logger.log(`🔁 重试队列中有 ${queued} 个区块，将随扫描继续重试`);
+            }
+        } catch (error) {
+            this.logger.warn('⚠️ 读取重试队列失败:', error.message);
+        }
+
+        // 任一实例需要时启动内存池监听
+        if (Array.from(this.monitors).some(monitor => monitor.config.watchPending)) {
+            await this.startPendingWatch();
+        }
+
+        this.isRunning = true;
+        this.startMonitoringLoop();
+
+        this.logger.success(`扫描中心启动成功，起始区块: ${this.lastProcessedBlock + 1}`);
+        this.logger.log(`📡 扫描模式: ${this.config.scanMode}`);
+        this.logger.log(`🧭 扫描策略: ${this.config.scanStrategy}`);
+        if (this.config.scanStrategy === 'logs') {
+            this.logger.warn('⚠️ 日志扫描策略只能发现产生 Transfer 事件的交易，纯 BNB 转账不会推送');
+        }
+    }
+
+    /**
+     * 停止扫描
+     */
+    async stop() {
+        this.isRunning = false;
+        this.scanner.unsubscribeNewHeads();
+        await this.scanner.stopPendingWatch();
+        this.pendingWatchStarted = false;
+
+        if (this.ownsRedis) {
+            await this.redis.disconnect();
+        }
+    }
+
+    /**
+     * 启动内存池监听
+     */
+    async startPendingWatch() {
+        if (this.pendingWatchStarted) {
+            return;
+        }
+        if (!this.config.wsUrl) {
+            this.logger.warn('⚠️ 未配置 WebSocket 节点 (WS_RPC_URL)，无法监听内存池');
+            return;
+        }
+
+        try {
+            await this.scanner.startPendingWatch(this.config.wsUrl);
+            this.pendingWatchStarted = true;
+            this.logger.log(`👀 内存池监听: ✅ 已启用`);
+        } catch (error) {
+            this.logger.error('❌ 启动内存池监听失败:', error.message);
+        }
+    }
+
+    /**
+     * 启动推送模式: 订阅新区块，每个新区块触发一次扫描
+     */
+    startPushMode() {
+        if (!this.config.wsUrl) {
+            this.logger.warn('⚠️ 推送模式需要 WebSocket 节点 (WS_RPC_URL)，回退为轮询模式');
+            return;
+        }
+
+        this.scanner.subscribeNewHeads(this.config.wsUrl, () => {
+            this.runScan().catch(async error => {
+                this.logger.error('推送扫描错误:', error.message);
+                await this.dispatch(monitor => monitor.sendErrorNotification(error));
+            });
+        });
+    }
+
+    /**
+     * 启动监控循环
+     */
+    async startMonitoringLoop() {
+        if (this.config.scanMode === 'push') {
+            this.startPushMode();
+        }
+
+        while (this.isRunning) {
+            try {
+                // 推送模式下由新区块触发扫描，订阅不可用时回退为轮询
+                if (!this.scanner.isHeadsConnected()) {
+                    await this.runScan();
+                }
+                await this.sleep(this.config.scanInterval);
+            } catch (error) {
+                this.logger.error('监控循环错误:', error.message);
+                await this.dispatch(monitor => monitor.sendErrorNotification(error));
+                await this.sleep(5000); // 错误后等待5秒再继续
+            }
+        }
+    }
+
+    /**
+     * 执行一次扫描，同一时间只运行一个扫描
+     * 扫描过程中再次触发时，在当前扫描结束后补跑一次
+     */
+    async runScan() {
+        if (this.isScanning) {
+            this.scanRequested = true;
+            return;
+        }
+
+        this.isScanning = true;
+        try {
+            do {
+                this.scanRequested = false;
+                await this.scanNewBlocks();
+            } while (this.scanRequested && this.isRunning);
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    /**
+     * 扫描新区块，并把结果分发给所有实例
+     */
+    async scanNewBlocks() {
+        try {
+            const currentBlock = await this.scanner.getLatestBlockNumber();
+
+            // 先重试到期的失败区块
+            await this.processRetries();
+
+            if (currentBlock <= this.lastProcessedBlock) {
+                // 没有新区块，仍需检查各实例的待确认交易
+                await this.dispatch(monitor => monitor.handleScanResults([], null, null, currentBlock));
+                return;
+            }
+
+            const startBlock = this.lastProcessedBlock + 1;
+            const totalBlocksToProcess = currentBlock - this.lastProcessedBlock;
+
+            // 如果落后太多区块，使用更大的批次大小
+            let batchSize = this.config.batchSize;
+            if (totalBlocksToProcess > 20) {
+                batchSize = Math.min(20, totalBlocksToProcess); // 最多并行处理20个区块
+                this.logger.log(`⚡ 检测到落后 ${totalBlocksToProcess} 个区块，使用并行处理 (批次大小: ${batchSize})`);
+            }
+
+            const endBlock = Math.min(currentBlock, startBlock + batchSize - 1);
+
+            this.logger.log(`🔍 扫描区块 ${startBlock} - ${endBlock} (共 ${endBlock - startBlock + 1} 个区块)`);
+
+            // 并行扫描区块
+            const results = await this.scanner.scanRange(startBlock, endBlock);
+            this.lastProcessedBlock = endBlock;
+            await this.queueFailedBlocks();
+
+            await this.dispatch(monitor => monitor.handleScanResults(results, startBlock, endBlock, currentBlock));
+
+        } catch (error) {
+            this.logger.error('扫描新区块失败:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * 把本轮扫描失败的区块加入重试队列
+     */
+    async queueFailedBlocks() {
+        const blocks = Array.from(this.failedBlocks);
+        this.failedBlocks.clear();
+
+        for (const blockNumber of blocks) {
+            await this.recordRetryFailure(blockNumber);
+        }
+    }
+
+    /**
+     * 重试到期的失败区块，成功后把交易分发给各实例
+     */
+    async processRetries() {
+        let dueBlocks;
+        try {
+            dueBlocks = await this.retryQueue.getDueBlocks(this.config.retryBatchSize);
+        } catch (error) {
+            this.logger.warn('⚠️ 读取重试队列失败:', error.message);
+            return;
+        }
+
+        for (const blockNumber of dueBlocks) {
+            let transactions;
+            try {
+                transactions = await this.scanner.scanBlock(blockNumber);
+            } catch (error) {
+                this.logger.warn(`⚠️ 重试区块 ${blockNumber} 失败:`, error.message);
+                await this.recordRetryFailure(blockNumber);
+                continue;
+            }
+
+            await this.retryQueue.remove(blockNumber);
+            this.logger.success(`重试区块 ${blockNumber} 成功，找到 ${transactions.length} 笔相关交易`);
+            await this.dispatch(monitor => monitor.handleRetriedBlock(blockNumber, transactions));
+        }
+    }
+
+    /**
+     * 记录区块失败，超过最多重试次数时通知各实例该区块已跳过
+     * @param {number} blockNumber - 区块号
+     */
+    async recordRetryFailure(blockNumber) {
+        try {
+            const { attempts, exhausted } = await this.retryQueue.recordFailure(blockNumber);
+            if (exhausted) {
+                this.logger.error(`❌ 区块 ${blockNumber} 重试 ${attempts - 1} 次后仍失败，已跳过`);
+                await this.dispatch(monitor => monitor.sendSkippedBlockAlert(blockNumber, attempts - 1));
+            } else {
+                this.logger.warn(`🔁 区块 ${blockNumber} 已加入重试队列 (第 ${attempts} 次失败)`);
+            }
+        } catch (error) {
+            this.logger.error(`❌ 记录失败区块 ${blockNumber} 失败:`, error.message);
+        }
+    }
+
+    /**
+     * 依次调用各实例的处理函数，单个实例出错不影响其他实例
+     * @param {Function} handler - 处理函数 (monitor) => Promise
+     * @param {Function} filter - 实例过滤条件（可选）
+     */
+    async dispatch(handler, filter = null) {
+        for (const monitor of this.monitors) {
+            if (filter && !filter(monitor)) {
+                continue;
+            }
+
+            try {
+                await handler(monitor);
+            } catch (error) {
+                this.logger.error(`❌ 实例 ${monitor.config.redisPrefix} 处理失败:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * 睡眠函数
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = ScanHub;
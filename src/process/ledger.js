@@ -0,0 +1,178 @@
+/**
+ * 持仓账本 - 按 DEX 兑换记录每个监控钱包每种代币的买入和卖出
+ * 成本按平均成本法计算（BNB 和美元两种口径），卖出时计算已实现盈亏，
+ * 未实现盈亏按当前池子价格计算。只统计开始监控后的买卖，之前买入或转入的代币卖出时不计成本
+ */
+class PositionLedger {
+    /**
+     * @param {RefRedis} redis - 数据库（按实例前缀保存持仓）
+     * @param {PriceOracle} prices - 链上价格
+     * @param {Logger} logger - 日志器
+     */
+    constructor(redis, prices, logger) {
+        this.redis = redis;
+        this.prices = prices;
+        this.logger = logger;
+    }
+
+    /**
+     * 记录交易中的买入/卖出，每笔买卖（交易哈希:序号）只记录一次
+     * 持仓和标记在同一事务中写入，中途出错或无法计价的买卖不标记，交易再次处理时只补记这些买卖
+     * @param {string} wallet - 钱包地址
+     * @param {Object} tx - 交易数据
+     * @param {Array} swaps - 兑换记录
+     * @returns {Promise<Array>} 本次记录的买卖 { direction, token, symbol, amount, valueBnb, valueUsd, realizedBnb, realizedUsd, realizedPercent }
+     */
+    async recordSwaps(wallet, tx, swaps) {
+        const results = [];
+        for (const [index, swap] of swaps.entries()) {
+            if (swap.direction !== 'buy' && swap.direction !== 'sell') {
+                continue;
+            }
+
+            const tradeId = `${tx.hash}:${index}`;
+            if (await this.redis.isPnlTrade(wallet, tradeId)) {
+                continue;
+            }
+
+            const result = await this.recordSwap(wallet, swap, tx.blockNumber, tradeId);
+            if (result) {
+                results.push(result);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * 记录一笔买入或卖出
+     * @param {string} wallet - 钱包地址
+     * @param {Object} swap - 兑换记录（direction 为 buy / sell）
+     * @param {number} blockNumber - 区块号
+     * @param {string} tradeId - 买卖标识（交易哈希:序号），与持仓一起写入
+     * @returns {Promise<Object|null>} 买卖记录，无法计价时为 null
+     */
+    async recordSwap(wallet, swap, blockNumber, tradeId) {
+        // 买入时支出计价代币，卖出时换回计价代币
+        const [token, quote] = swap.direction === 'buy'
+            ? [swap.tokenOut, swap.tokenIn]
+            : [swap.tokenIn, swap.tokenOut];
+
+        const value = await this.valueQuote(quote, blockNumber);
+        if (!value) {
+            this.logger.warn(`⚠️ 无法计价，跳过持仓记录: ${token.tokenSymbol} (区块 ${blockNumber})`);
+            return null;
+        }
+
+        const amount = parseFloat(token.amount);
+        const position = await this.redis.getPosition(wallet, token.tokenAddress) || {
+            symbol: token.tokenSymbol,
+            amount: 0,
+            costBnb: 0,
+            costUsd: 0,
+            realizedBnb: 0,
+            realizedUsd: 0,
+            buys: 0,
+            sells: 0
+        };
+        position.symbol = token.tokenSymbol;
+
+        const result = {
+            direction: swap.direction,
+            token: token.tokenAddress.toLowerCase(),
+            symbol: token.tokenSymbol,
+            amount,
+            valueBnb: value.bnb,
+            valueUsd: value.usd,
+            realizedBnb: null,
+            realizedUsd: null,
+            realizedPercent: null
+        };
+
+        if (swap.direction === 'buy') {
+            position.amount += amount;
+            position.costBnb += value.bnb;
+            position.costUsd += value.usd;
+            position.buys++;
+        } else {
+            // 只有账本中持有的部分计算盈亏，超出部分（监控前买入或转入）不计成本
+            const matched = Math.min(amount, position.amount);
+            if (matched > 0) {
+                const share = matched / position.amount;
+                const proceedsShare = matched / amount;
+                const costBnb = position.costBnb * share;
+                const costUsd = position.costUsd * share;
+
+                result.realizedBnb = value.bnb * proceedsShare - costBnb;
+                result.realizedUsd = value.usd * proceedsShare - costUsd;
+                result.realizedPercent = costUsd > 0 ? result.realizedUsd / costUsd * 100 : null;
+
+                position.amount -= matched;
+                position.costBnb -= costBnb;
+                position.costUsd -= costUsd;
+                position.realizedBnb += result.realizedBnb;
+                position.realizedUsd += result.realizedUsd;
+            }
+            position.sells++;
+        }
+
+        // 清仓后去掉浮点误差
+        if (position.amount <= 0) {
+            position.amount = 0;
+            position.costBnb = 0;
+            position.costUsd = 0;
+        }
+
+        await this.redis.setPosition(wallet, token.tokenAddress, position, tradeId);
+        return result;
+    }
+
+    /**
+     * 计价代币（BNB 或稳定币）数量换算为 BNB 和美元价值
+     * @param {Object} quote - { tokenAddress, amount } BNB 的 tokenAddress 为 null
+     * @param {number} blockNumber - 区块号
+     * @returns {Promise<Object|null>} { bnb, usd }
+     */
+    async valueQuote(quote, blockNumber) {
+        const bnbPrice = await this.prices.getPrice(null, blockNumber);
+        const quotePrice = await this.prices.getPrice(quote.tokenAddress, blockNumber);
+        if (!bnbPrice || quotePrice === null) {
+            return null;
+        }
+
+        const usd = Math.abs(parseFloat(quote.amount)) * quotePrice;
+        return { bnb: usd / bnbPrice, usd };
+    }
+
+    /**
+     * 计算钱包的盈亏: 每种代币的已实现盈亏和按当前价格计算的未实现盈亏
+     * @param {string} wallet - 钱包地址
+     * @returns {Promise<Object>} { positions, totals, bnbPrice } 无法获取当前价格的持仓未实现盈亏为 null
+     */
+    async getWalletPnl(wallet) {
+        const bnbPrice = await this.prices.getPrice(null);
+        const positions = await this.redis.getWalletPositions(wallet);
+        const totals = { realizedBnb: 0, realizedUsd: 0, unrealizedBnb: 0, unrealizedUsd: 0, costUsd: 0, valueUsd: 0 };
+
+        for (const position of positions) {
+            position.price = position.amount > 0 ? await this.prices.getPrice(position.token) : null;
+            position.valueUsd = position.price === null ? null : position.amount * position.price;
+            position.unrealizedUsd = position.valueUsd === null ? null : position.valueUsd - position.costUsd;
+            position.unrealizedBnb = position.valueUsd === null || !bnbPrice ? null : position.valueUsd / bnbPrice - position.costBnb;
+
+            totals.realizedBnb += position.realizedBnb;
+            totals.realizedUsd += position.realizedUsd;
+            if (position.unrealizedUsd !== null) {
+                totals.unrealizedUsd += position.unrealizedUsd;
+                totals.unrealizedBnb += position.unrealizedBnb ?? 0;
+                totals.costUsd += position.costUsd;
+                totals.valueUsd += position.valueUsd;
+            }
+        }
+
+        // 持仓中的排在前面，再按已实现盈亏排序
+        positions.sort((a, b) => (b.amount > 0) - (a.amount > 0) || b.realizedUsd - a.realizedUsd);
+        return { positions, totals, bnbPrice };
+    }
+}
+
+module.exports = PositionLedger;
@@ -0,0 +1,252 @@
+const { ethers } = require('ethers');
+
+// PancakeSwap V2 路由，工厂地址通过路由的 factory() 查询
+const PANCAKE_V2_ROUTER = '0x10ed43c718714eb63d5aa57b78b54704e256024e';
+const WBNB = '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c';
+const USDT = '0x55d398326f99059ff775485246999027b3197955';
+
+// 按 1 美元计价的稳定币
+const STABLECOINS = new Set([
+    USDT,
+    '0xe9e7cea3dedca5984780bafc599bd69add087d56', // BUSD
+    '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d'  // USDC
+]);
+
+const PAIR_ABI = new ethers.Interface([
+    'function factory() view returns (address)',
+    'function getPair(address tokenA, address tokenB) view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+]);
+
+/**
+ * 链上价格 - 通过 PancakeSwap V2 池子的储备量给代币估算美元价格
+ * 代币先按 WBNB 池子换算成 BNB 再乘以 BNB 价格，没有 WBNB 池子时使用 USDT 池子
+ * 价格按交易所在区块查询，短时间缓存；查询失败或流动性不足时返回 null
+ */
+class PriceOracle {
+    /**
+     * @param {Object} provider - 节点 provider
+     * @param {Logger} logger - 日志器
+     * @param {TokenCache} tokenCache - 代币信息缓存（用于获取小数位数）
+     * @param {Object} options - 配置
+     * @param {number} options.cacheTtl - 价格缓存时间(ms)
+     * @param {number} options.minLiquidityUsd - 池子计价一侧的最低美元价值，低于该值不计价
+     */
+    constructor(provider, logger, tokenCache, options = {}) {
+        this.provider = provider;
+        this.logger = logger;
+        this.tokenCache = tokenCache;
+
+        this.config = {
+            router: (options.router || process.env.PRICE_ROUTER || PANCAKE_V2_ROUTER).toLowerCase(),
+            cacheTtl: parseInt(options.cacheTtl || process.env.PRICE_CACHE_TTL) || 30000,
+            minLiquidityUsd: parseFloat(options.minLiquidityUsd || process.env.PRICE_MIN_LIQUIDITY_USD) || 1000
+        };
+
+        this.factory = null;
+
+        // 代币对（排序后的地址）-> 池子地址
+        this.pairs = new Map();
+
+        // 代币地址:区块 -> { price, expiresAt }
+        this.prices = new Map();
+    }
+
+    /**
+     * 获取代币的美元价格
+     * @param {string} tokenAddress - 代币合约地址，原生 BNB 为 'bnb' 或 null
+     * @param {number|string} blockTag - 区块号，默认最新区块
+     * @returns {Promise<number|null>} 美元价格
+     */
+    async getPrice(tokenAddress, blockTag = 'latest') {
+        const token = !tokenAddress || tokenAddress === 'bnb' ? WBNB : tokenAddress.toLowerCase();
+        if (STABLECOINS.has(token)) {
+            return 1;
+        }
+
+        const key = `${token}:${blockTag}`;
+        const cached = this.prices.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.price;
+        }
+
+        let price = null;
+        try {
+            price = token === WBNB
+                ? await this.getBnbPrice(blockTag)
+                : await this.fetchTokenPrice(token, blockTag);
+        } catch (error) {
+            this.logger.warn(`⚠️ 查询代币价格失败 ${token}:`, error.shortMessage || error.message);
+            return null;
+        }
+
+        this.pruneCache();
+        this.prices.set(key, { price, expiresAt: Date.now() + this.config.cacheTtl });
+        return price;
+    }
+
+    /**
+     * 计算代币数量的美元价值
+     * @param {string} tokenAddress - 代币合约地址，原生 BNB 为 'bnb' 或 null
+     * @param {string|number} amount - 代币数量（已按小数位数换算）
+     * @param {number|string} blockTag - 区块号
+     * @returns {Promise<number|null>} 美元价值
+     */
+    async getValue(tokenAddress, amount, blockTag = 'latest') {
+        const price = await this.getPrice(tokenAddress, blockTag);
+        if (price === null) {
+            return null;
+        }
+        return Math.abs(parseFloat(amount)) * price;
+    }
+
+    /**
+     * BNB 价格: WBNB/USDT 池子中 USDT 与 WBNB 储备量之比
+     * @param {number|string} blockTag - 区块号
+     * @returns {Promise<number|null>} 美元价格
+     */
+    async getBnbPrice(blockTag) {
+        const reserves = await this.getReserves(WBNB, USDT, blockTag);
+        if (!reserves) {
+            return null;
+        }
+        const bnb = parseFloat(ethers.formatUnits(reserves.base, 18));
+        const usdt = parseFloat(ethers.formatUnits(reserves.quote, 18));
+        return bnb > 0 ? usdt / bnb : null;
+    }
+
+    /**
+     * 普通代币价格: 优先 WBNB 池子，其次 USDT 池子
+     * @param {string} token - 代币地址（小写）
+     * @param {number|string} blockTag - 区块号
+     * @returns {Promise<number|null>} 美元价格
+     */
+    async fetchTokenPrice(token, blockTag) {
+        const { decimals } = await this.tokenCache.get(token);
+
+        for (const quote of [WBNB, USDT]) {
+            const reserves = await this.getReserves(token, quote, blockTag);
+            if (!reserves || reserves.base === 0n) {
+                continue;
+            }
+
+            const quotePrice = quote === WBNB ? await this.getPrice(WBNB, blockTag) : 1;
+            if (quotePrice === null) {
+                continue;
+            }
+
+            // 计价一侧流动性太低的池子价格不可靠
+            const quoteAmount = parseFloat(ethers.formatUnits(reserves.quote, 18));
+            if (quoteAmount * quotePrice < this.config.minLiquidityUsd) {
+                continue;
+            }
+
+            const baseAmount = parseFloat(ethers.formatUnits(reserves.base, decimals));
+            return quoteAmount / baseAmount * quotePrice;
+        }
+        return null;
+    }
+
+    /**
+     * 查询池子储备量
+     * @param {string} base - 被计价的代币地址
+     * @param {string} quote - 计价代币地址
+     * @param {number|string} blockTag - 区块号
+     * @returns {Promise<Object|null>} { base, quote } 两种代币的储备量，没有池子时为 null
+     */
+    async getReserves(base, quote, blockTag) {
+        const pair = await this.getPair(base, quote);
+        if (!pair) {
+            return null;
+        }
+
+        const data = await this.provider.call({ to: pair, data: PAIR_ABI.encodeFunctionData('getReserves'), blockTag });
+        const [reserve0, reserve1] = PAIR_ABI.decodeFunctionResult('getReserves', data);
+
+        // 池子中 token0 为地址较小的代币
+        const baseIsToken0 = BigInt(base) < BigInt(quote);
+        return baseIsToken0
+            ? { base: reserve0, quote: reserve1 }
+            : { base: reserve1, quote: reserve0 };
+    }
+
+    /**
+     * 查询两个代币的池子地址（已创建的池子永久缓存）
+     * @param {string} tokenA - 代币地址
+     * @param {string} tokenB - 代币地址
+     * @returns {Promise<string|null>} 池子地址
+     */
+    async getPair(tokenA, tokenB) {
+        const key = [tokenA, tokenB].map(address => address.toLowerCase()).sort().join(':');
+        if (this.pairs.has(key)) {
+            return this.pairs.get(key);
+        }
+
+        const factory = await this.getFactory();
+        const data = await this.provider.call({ to: factory, data: PAIR_ABI.encodeFunctionData('getPair', [tokenA, tokenB]) });
+        const [pair] = PAIR_ABI.decodeFunctionResult('getPair', data);
+        if (pair === ethers.ZeroAddress) {
+            return null; // 池子可能稍后创建（新币），不缓存
+        }
+        this.pairs.set(key, pair.toLowerCase());
+        return pair.toLowerCase();
+    }
+
+    /**
+     * 查询 PancakeSwap V2 工厂地址（路由的 factory()）
+     * @returns {Promise<string>} 工厂地址（小写）
+     */
+    async getFactory() {
+        if (!this.factory) {
+            const data = await this.provider.call({ to: this.config.router, data: PAIR_ABI.encodeFunctionData('factory') });
+            [this.factory] = PAIR_ABI.decodeFunctionResult('factory', data);
+            this.factory = this.factory.toLowerCase();
+        }
+        return this.factory;
+    }
+
+    /**
+     * 查询代币池子的流动性: 优先 WBNB 池子，其次 USDT 池子
+     * 不受最低流动性限制，用于新币等流动性很小的池子
+     * @param {string} tokenAddress - 代币地址
+     * @param {number|string} blockTag - 区块号
+     * @returns {Promise<Object|null>} { pair, quoteSymbol, quoteAmount, usdValue } usdValue 为池子两侧的总美元价值，没有池子时为 null
+     */
+    async getLiquidity(tokenAddress, blockTag = 'latest') {
+        const token = tokenAddress.toLowerCase();
+        try {
+            for (const [quote, quoteSymbol] of [[WBNB, 'WBNB'], [USDT, 'USDT']]) {
+                const reserves = await this.getReserves(token, quote, blockTag);
+                if (!reserves || reserves.quote === 0n) {
+                    continue;
+                }
+                
+                const quoteAmount = parseFloat(ethers.formatUnits(reserves.quote, 18));
+                const quotePrice = quote === WBNB ? await this.getPrice(WBNB, blockTag) : 1;
+                return {
+                    pair: await this.getPair(token, quote),
+                    quoteSymbol,
+                    quoteAmount,
+                    usdValue: quotePrice === null ? null : quoteAmount * quotePrice * 2
+                };
+            }
+        } catch (error) {
+            this.logger.warn(`⚠️ 查询池子流动性失败 ${token}:`, error.shortMessage || error.message);
+        }
+        return null;
+    }
+
+    /**
+     * 清除过期的价格缓存
+     */
+    pruneCache() {
+        const now = Date.now();
+        for (const [key, entry] of this.prices) {
+            if (entry.expiresAt <= now) {
+                this.prices.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = PriceOracle;
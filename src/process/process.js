@@ -1,4 +1,9 @@
+const path = require('path');
 const { ethers } = require('ethers');
+const TokenCache = require('./token');
+const SelectorRegistry = require('./selectors');
+const PriceOracle = require('./price');
+const TokenAge = require('./age');
 
 /**
  * 交易处理器 - 识别和解析交易类型
@@ -9,9 +14,76 @@ class TransactionProcessor {
         this.provider = provider;
         this.logger = logger;
         
+        // 代币信息缓存（由扫描中心设置 Redis 后多实例共用）
+        this.tokenCache = new TokenCache(provider, logger);
+        
+        // 链上美元价格（PancakeSwap 池子储备量）
+        this.prices = new PriceOracle(provider, logger, this.tokenCache);
+        
+        // 代币上线时间（建池/部署区块），用于识别买入新币
+        this.tokenAge = new TokenAge(provider, logger, this.prices);
+        
+        // 本地方法签名库，用于显示调用的方法名
+        this.selectors = new SelectorRegistry();
+        
+        // 本地自定义错误签名库，用于解析失败原因
+        this.errors = new SelectorRegistry(path.join(__dirname, '../../data/errors.json'));
+        
         // ERC20 Transfer 事件签名
         this.TRANSFER_EVENT_SIGNATURE = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
         
+        // NFT 转账事件签名: ERC721 与 ERC20 共用 Transfer，tokenId 在 topic3
+        this.TRANSFER_SINGLE_EVENT_SIGNATURE = '0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62'; // ERC1155 TransferSingle
+        this.TRANSFER_BATCH_EVENT_SIGNATURE = '0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb'; // ERC1155 TransferBatch
+        
+        // 授权事件签名: Approval(owner, spender, value) / ERC721 Approval(owner, approved, tokenId) / ApprovalForAll(owner, operator, approved)
+        this.APPROVAL_EVENT_SIGNATURE = '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925';
+        this.APPROVAL_FOR_ALL_EVENT_SIGNATURE = '0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31';
+        
+        // 授权额度不小于该值视为无限授权（uint160 最大值，覆盖 Permit2 和 uint256 最大值）
+        this.UNLIMITED_APPROVAL_THRESHOLD = (1n << 160n) - 1n;
+        
+        // 包装原生币（WBNB 等）的 Deposit / Withdrawal 事件签名
+        this.DEPOSIT_EVENT_SIGNATURE = '0xe1fffcc4923d04b559f4d29a8bfc6cda04eb5b0d3c460751c2402c5c5cc9109c';
+        this.WITHDRAWAL_EVENT_SIGNATURE = '0x7fcf532c15f0a6db0bd6d0e038bea71d30d808c7d98cb3bf7268a95bf5081b65';
+        
+        // 包装原生币合约，其转账和包装/解包按 BNB 计算（逗号分隔，默认 WBNB）
+        this.WRAPPED_NATIVE_TOKENS = new Set(
+            (process.env.WRAPPED_NATIVE_TOKENS || '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c')
+                .split(',')
+                .map(address => address.trim().toLowerCase())
+                .filter(Boolean)
+        );
+        
+        // DEX 池子的 Swap 事件签名
+        this.SWAP_EVENT_SIGNATURES = {
+            '0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822': 'v2', // UniswapV2 / PancakeSwap V2
+            '0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67': 'v3', // UniswapV3
+            '0x19b47279256b2a23a1665c810c8d55a1758940ee09377d4f8d26497a3577dc83': 'v3'  // PancakeSwap V3
+        };
+        
+        // 计价代币: 兑换中用这些代币买入其他代币视为 BUY，换回这些代币视为 SELL
+        this.QUOTE_TOKENS = new Set([
+            'bnb',
+            '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c', // WBNB
+            '0x55d398326f99059ff775485246999027b3197955', // USDT
+            '0xe9e7cea3dedca5984780bafc599bd69add087d56', // BUSD
+            '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d'  // USDC
+        ]);
+        
+        // Solidity Panic 错误码
+        this.PANIC_CODES = {
+            0x01: 'assertion failed',
+            0x11: 'arithmetic overflow or underflow',
+            0x12: 'division by zero',
+            0x21: 'invalid enum value',
+            0x22: 'invalid storage byte array',
+            0x31: 'pop on empty array',
+            0x32: 'array index out of bounds',
+            0x41: 'out of memory',
+            0x51: 'call to invalid function'
+        };
+        
         // 常见的ERC20方法签名
         this.ERC20_METHODS = {
             transfer: '0xa9059cbb',
@@ -24,6 +96,30 @@ class TransactionProcessor {
             symbol: '0x95d89b41',
             decimals: '0x313ce567'
         };
+        
+        // 授权方法: 只有直接调用代币合约的这些方法产生的 Approval 才视为监控地址的授权操作
+        this.APPROVAL_METHODS = new Set([
+            '0x095ea7b3', // approve(address,uint256)
+            '0x39509351', // increaseAllowance(address,uint256)
+            '0xa22cb465', // setApprovalForAll(address,bool)
+            '0xd505accf', // permit(address,address,uint256,uint256,uint8,bytes32,bytes32)
+            '0x8fcbaf0c'  // permit(address,address,uint256,uint256,bool,uint8,bytes32,bytes32) (DAI)
+        ]);
+        
+        // 地址 -> 是否为EOA，被授权方、交易接收方会被反复查询
+        this.eoaCache = new Map();
+        this.eoaCacheLimit = 10000;
+        
+        // 节点不支持 debug_traceTransaction 时暂停追踪，到期后重新尝试（节点可能切换或升级）
+        this.traceDisabledUntil = 0;
+        this.traceRetryInterval = 10 * 60 * 1000;
+        
+        // 用于解析调用数据的ERC20接口
+        this.erc20Interface = new ethers.Interface([
+            'function transfer(address to, uint256 amount)',
+            'function transferFrom(address from, address to, uint256 amount)',
+            'function approve(address spender, uint256 amount)'
+        ]);
     }
 
     /**
@@ -37,9 +133,20 @@ class TransactionProcessor {
                 return false;
             }
             
+            const key = address.toLowerCase();
+            if (this.eoaCache.has(key)) {
+                return this.eoaCache.get(key);
+            }
+            
             // 检查地址的代码长度，EOA的代码长度为0
             const code = await this.provider.getCode(address);
-            return code === '0x';
+            const isEOA = code === '0x';
+            
+            if (this.eoaCache.size >= this.eoaCacheLimit) {
+                this.eoaCache.delete(this.eoaCache.keys().next().value);
+            }
+            this.eoaCache.set(key, isEOA);
+            return isEOA;
         } catch (error) {
             this.logger.error(`❌ 检查EOA失败 ${address}:`, error.message);
             return false;
@@ -50,24 +157,33 @@ class TransactionProcessor {
      * 解析交易数据，识别交易类型
      * @param {Object} transaction - 交易对象
      * @param {Object} receipt - 交易收据（可选）
+     * @param {Object} blockContext - 所在区块信息（可选）: { hash, timestamp, baseFeePerGas, miner, internalTransfers }
      * @returns {Promise<Object>} 解析后的交易数据
      */
-    async parseTransaction(transaction, receipt = null) {
+    async parseTransaction(transaction, receipt = null, blockContext = null) {
         try {
+            // 区块中的交易本身不带时间戳，优先使用区块时间戳
+            const timestamp = blockContext?.timestamp ?? transaction.timestamp;
+            
             const result = {
                 // 基本信息
                 hash: transaction.hash,
                 blockNumber: transaction.blockNumber,
-                timestamp: transaction.timestamp && !isNaN(transaction.timestamp) 
-                    ? transaction.timestamp 
+                blockHash: blockContext?.hash || transaction.blockHash || receipt?.blockHash || null,
+                transactionIndex: transaction.index ?? receipt?.index ?? null,
+                timestamp: timestamp && !isNaN(timestamp) 
+                    ? timestamp 
                     : Math.floor(Date.now() / 1000),
+                baseFeePerGas: blockContext?.baseFeePerGas ?? null,
+                miner: blockContext?.miner || null,
                 from: transaction.from,
                 to: transaction.to,
                 value: transaction.value || '0',
                 gasPrice: transaction.gasPrice || '0',
                 gasLimit: transaction.gasLimit || '0',
                 gasUsed: receipt?.gasUsed || '0',
-                status: receipt?.status || transaction.status,
+                status: receipt?.status ?? transaction.status,
+                revertReason: null, // 失败原因（仅失败交易）
                 
                 // 交易类型分析
                 isTransfer: false,
@@ -77,13 +193,20 @@ class TransactionProcessor {
                 // 金额变化
                 bnbChange: {
                     from: '0',
-                    to: '0'
+                    to: '0',
+                    internal: blockContext?.internalTransfers?.get(transaction.hash) || [] // 合约内部转出的BNB
                 },
                 erc20Changes: [],
+                nftChanges: [], // ERC721 / ERC1155 转账
+                wraps: [], // 包装原生币的包装/解包记录
+                approvals: [], // 代币/NFT 授权记录
+                swaps: [], // DEX 兑换记录
+                deployment: null, // 合约部署信息（仅部署交易）
                 
                 // 交易详情
                 transactionType: 'unknown',
                 methodSignature: null,
+                method: null, // 解析出的调用方法 { name, signature, args }
                 inputData: transaction.data || '0x'
             };
 
@@ -98,9 +221,21 @@ class TransactionProcessor {
             // 分析交易类型
             await this.analyzeTransactionType(transaction, result);
 
-            // 如果有收据，分析ERC20事件
+            // 如果有收据，分析ERC20事件和DEX兑换
             if (receipt && receipt.logs) {
                 await this.analyzeERC20Events(receipt.logs, result);
+                await this.classifyApprovals(transaction, result);
+                this.analyzeSwaps(receipt.logs, result);
+            }
+            
+            // 合约部署: 记录新合约地址，是代币时查询代币信息
+            if (!transaction.to && receipt?.contractAddress && receipt.status !== 0) {
+                result.deployment = await this.analyzeDeployment(receipt.contractAddress, transaction.blockNumber);
+            }
+            
+            // 失败交易: 在父区块重放调用，解析失败原因
+            if (receipt && receipt.status === 0) {
+                result.revertReason = await this.getRevertReason(transaction);
             }
 
             return result;
@@ -111,6 +246,177 @@ class TransactionProcessor {
         }
     }
 
+    /**
+     * 分析部署的合约: 能查询到 totalSupply 和 symbol 时视为 ERC20 代币
+     * @param {string} contractAddress - 新合约地址（收据中的 contractAddress）
+     * @param {number} blockNumber - 部署所在区块，按该区块查询发行量
+     * @returns {Promise<Object>} { contractAddress, isToken, tokenName, tokenSymbol, tokenDecimals, totalSupply, formattedSupply }
+     */
+    async analyzeDeployment(contractAddress, blockNumber) {
+        const deployment = {
+            contractAddress,
+            isToken: false,
+            tokenName: null,
+            tokenSymbol: null,
+            tokenDecimals: null,
+            totalSupply: null,
+            formattedSupply: null
+        };
+        
+        try {
+            const data = await this.provider.call({
+                to: contractAddress,
+                data: this.ERC20_METHODS.totalSupply,
+                blockTag: blockNumber ?? 'latest'
+            });
+            if (ethers.dataLength(data) < 32) {
+                return deployment;
+            }
+            
+            const tokenInfo = await this.getTokenInfo(contractAddress);
+            if (tokenInfo.symbol === 'UNKNOWN') {
+                return deployment;
+            }
+            
+            const totalSupply = ethers.toBigInt(ethers.dataSlice(data, 0, 32));
+            Object.assign(deployment, {
+                isToken: true,
+                tokenName: tokenInfo.name,
+                tokenSymbol: tokenInfo.symbol,
+                tokenDecimals: tokenInfo.decimals,
+                totalSupply,
+                formattedSupply: this.formatTokenValue(totalSupply, tokenInfo.decimals)
+            });
+        } catch (error) {
+            // 没有 totalSupply 方法（回滚）说明不是代币
+            if (error.code !== 'CALL_EXCEPTION') {
+                this.logger.warn(`⚠️ 查询新合约信息失败 ${contractAddress}:`, error.shortMessage || error.message);
+            }
+        }
+        return deployment;
+    }
+
+    /**
+     * 解析内存池中的待打包交易
+     * 没有收据和事件日志，只能从交易金额和调用数据推断
+     * @param {Object} transaction - 交易对象
+     * @returns {Promise<Object|null>} 格式化后的交易数据
+     */
+    async parsePendingTransaction(transaction) {
+        const parsed = await this.parseTransaction(transaction);
+        if (!parsed) {
+            return null;
+        }
+        
+        return {
+            ...this.formatOutput(parsed),
+            pending: true,
+            decodedInput: await this.decodeInput(transaction)
+        };
+    }
+
+    /**
+     * 解析交易调用数据（目前支持ERC20的 transfer / transferFrom / approve）
+     * @param {Object} transaction - 交易对象
+     * @returns {Promise<Object|null>} { method, args, tokenAddress, tokenSymbol }
+     */
+    async decodeInput(transaction) {
+        const inputData = transaction.data || '0x';
+        if (inputData.length < 10 || !transaction.to) {
+            return null;
+        }
+        
+        try {
+            const parsed = this.erc20Interface.parseTransaction({ data: inputData, value: transaction.value });
+            if (!parsed) {
+                return null;
+            }
+            
+            const tokenInfo = await this.getTokenInfo(transaction.to);
+            const args = {};
+            parsed.fragment.inputs.forEach((input, index) => {
+                const value = parsed.args[index];
+                args[input.name] = input.type === 'uint256'
+                    ? this.formatTokenValue(value, tokenInfo.decimals)
+                    : value.toString();
+            });
+            
+            return {
+                method: parsed.name,
+                args,
+                tokenAddress: transaction.to,
+                tokenSymbol: tokenInfo.symbol
+            };
+        } catch (error) {
+            this.logger.error(`❌ 解析调用数据失败 ${transaction.hash}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 在父区块重放失败交易的调用，获取失败原因
+     * 失败依赖同区块内前序交易时，重放可能成功，此时无法获取原因
+     * @param {Object} transaction - 交易对象
+     * @returns {Promise<string|null>} 失败原因
+     */
+    async getRevertReason(transaction) {
+        if (typeof this.provider.call !== 'function' || !transaction.blockNumber) {
+            return null;
+        }
+        
+        try {
+            await this.provider.call({
+                from: transaction.from,
+                to: transaction.to,
+                data: transaction.data,
+                value: transaction.value,
+                gasLimit: transaction.gasLimit,
+                blockTag: transaction.blockNumber - 1
+            });
+            return null;
+        } catch (error) {
+            if (error.code !== 'CALL_EXCEPTION') {
+                this.logger.warn(`⚠️ 重放失败交易出错 ${transaction.hash}:`, error.shortMessage || error.message);
+                return null;
+            }
+            return this.decodeRevertReason(error.data);
+        }
+    }
+
+    /**
+     * 解析失败返回数据: Error(string)、Panic(uint256) 或签名库中的自定义错误
+     * @param {string} data - 失败返回数据
+     * @returns {string|null} 失败原因，没有返回数据时为 null
+     */
+    decodeRevertReason(data) {
+        if (!data || data === '0x') {
+            return null;
+        }
+        
+        const selector = data.slice(0, 10).toLowerCase();
+        try {
+            if (selector === '0x08c379a0') {
+                const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4));
+                return reason;
+            }
+            if (selector === '0x4e487b71') {
+                const [code] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], ethers.dataSlice(data, 4));
+                const description = this.PANIC_CODES[Number(code)] || 'unknown panic';
+                return `Panic(0x${code.toString(16)}): ${description}`;
+            }
+        } catch (error) {
+            // 返回数据不完整，按未知错误处理
+        }
+        
+        const custom = this.errors.decode(data);
+        if (custom) {
+            return custom.args && custom.args.length > 0
+                ? `${custom.name}(${custom.args.map(arg => Array.isArray(arg) ? JSON.stringify(arg) : String(arg)).join(', ')})`
+                : custom.name;
+        }
+        return `unknown error ${selector}`;
+    }
+
     /**
      * 分析BNB变化
      * @param {Object} transaction - 交易对象
@@ -133,6 +439,105 @@ class TransactionProcessor {
         }
     }
 
+    /**
+     * 判断节点错误是否表示不支持该方法（JSON-RPC -32601 method not found）
+     * 超时、限流等其他错误不算，避免偶发故障导致停用追踪
+     * @param {Error} error - 错误
+     * @returns {boolean} 是否为不支持的方法
+     */
+    isUnsupportedMethodError(error) {
+        const rpcError = error.error || error.info?.error || {};
+        if (rpcError.code === -32601) {
+            return true;
+        }
+        const message = rpcError.message || error.shortMessage || error.message || '';
+        return /method not found|does not exist\/is not available/i.test(message);
+    }
+
+    /**
+     * 通过 debug_traceTransaction (callTracer) 获取交易中合约内部转出的BNB
+     * @param {string} transactionHash - 交易哈希
+     * @returns {Promise<Array>} 内部转账 [{ from, to, value }]，节点不支持时返回空数组
+     */
+    async traceInternalTransfers(transactionHash) {
+        if (Date.now() < this.traceDisabledUntil || typeof this.provider.send !== 'function') {
+            return [];
+        }
+        
+        try {
+            const trace = await this.provider.send('debug_traceTransaction', [transactionHash, { tracer: 'callTracer' }]);
+            const transfers = [];
+            this.collectInternalCalls(trace?.calls || [], transfers);
+            return transfers;
+        } catch (error) {
+            if (this.isUnsupportedMethodError(error)) {
+                this.traceDisabledUntil = Date.now() + this.traceRetryInterval;
+                this.logger.warn(`⚠️ 节点不支持 debug_traceTransaction，${this.traceRetryInterval / 60000} 分钟内不再追踪内部BNB转账`);
+            } else {
+                this.logger.error(`❌ 追踪内部转账失败 ${transactionHash}:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * 递归收集 callTracer 结果中带BNB的内部调用
+     * @param {Array} calls - 子调用列表
+     * @param {Array} transfers - 收集结果
+     */
+    collectInternalCalls(calls, transfers) {
+        for (const call of calls) {
+            // DELEGATECALL / STATICCALL 不转移BNB；失败的调用已回滚
+            const value = BigInt(call.value || '0');
+            if (value > 0n && !call.error && ['CALL', 'CREATE', 'CREATE2', 'SELFDESTRUCT'].includes(call.type)) {
+                transfers.push({ from: ethers.getAddress(call.from), to: ethers.getAddress(call.to), value });
+            }
+            if (call.calls) {
+                this.collectInternalCalls(call.calls, transfers);
+            }
+        }
+    }
+
+    /**
+     * 解析 trace_block 结果中的内部转账（Erigon / OpenEthereum 风格的节点）
+     * @param {Array} traces - trace_block 返回的调用记录
+     * @returns {Map<string, Array>} 交易哈希 -> 内部转账 [{ from, to, value }]
+     */
+    parseBlockTraces(traces) {
+        const transfers = new Map();
+        
+        for (const trace of traces || []) {
+            // traceAddress 为空的是交易本身的顶层调用
+            if (!trace.transactionHash || trace.error || !trace.traceAddress || trace.traceAddress.length === 0) {
+                continue;
+            }
+            
+            let transfer = null;
+            if (trace.type === 'call' && trace.action.callType === 'call') {
+                transfer = { from: trace.action.from, to: trace.action.to, value: BigInt(trace.action.value || '0') };
+            } else if (trace.type === 'create') {
+                transfer = { from: trace.action.from, to: trace.result?.address, value: BigInt(trace.action.value || '0') };
+            } else if (trace.type === 'suicide') {
+                transfer = { from: trace.action.address, to: trace.action.refundAddress, value: BigInt(trace.action.balance || '0') };
+            }
+            
+            if (!transfer || transfer.value === 0n || !transfer.to) {
+                continue;
+            }
+            
+            if (!transfers.has(trace.transactionHash)) {
+                transfers.set(trace.transactionHash, []);
+            }
+            transfers.get(trace.transactionHash).push({
+                from: ethers.getAddress(transfer.from),
+                to: ethers.getAddress(transfer.to),
+                value: transfer.value
+            });
+        }
+        
+        return transfers;
+    }
+
     /**
      * 分析交易类型
      * @param {Object} transaction - 交易对象
@@ -141,7 +546,10 @@ class TransactionProcessor {
     async analyzeTransactionType(transaction, result) {
         const inputData = transaction.data || '0x';
         
-        if (inputData === '0x' || inputData === '0x0') {
+        if (!transaction.to) {
+            // 没有接收方，调用数据为合约的创建代码
+            result.transactionType = 'contract_deployment';
+        } else if (inputData === '0x' || inputData === '0x0') {
             // 没有输入数据，纯BNB转账
             if (BigInt(transaction.value || '0') > 0) {
                 result.transactionType = 'bnb_transfer';
@@ -153,6 +561,7 @@ class TransactionProcessor {
             // 有输入数据，可能是合约调用
             const methodSignature = inputData.slice(0, 10);
             result.methodSignature = methodSignature;
+            result.method = this.selectors.decode(inputData);
             
             // 检查是否为ERC20方法
             if (Object.values(this.ERC20_METHODS).includes(methodSignature)) {
@@ -180,7 +589,24 @@ class TransactionProcessor {
      */
     async analyzeERC20Events(logs, result) {
         for (const log of logs) {
-            if (log.topics[0] === this.TRANSFER_EVENT_SIGNATURE) {
+            if (this.isWrappedNative(log.address) &&
+                (log.topics[0] === this.DEPOSIT_EVENT_SIGNATURE || log.topics[0] === this.WITHDRAWAL_EVENT_SIGNATURE)) {
+                const wrap = await this.parseWrapEvent(log);
+                if (wrap) {
+                    result.wraps.push(wrap);
+                }
+            } else if (log.topics[0] === this.APPROVAL_EVENT_SIGNATURE || log.topics[0] === this.APPROVAL_FOR_ALL_EVENT_SIGNATURE) {
+                const approval = await this.parseApprovalEvent(log);
+                if (approval) {
+                    result.approvals.push(approval);
+                }
+            } else if (this.isNftTransferLog(log)) {
+                const nftChange = await this.parseNftTransferEvent(log);
+                if (nftChange) {
+                    result.nftChanges.push(nftChange);
+                    result.isTransfer = true;
+                }
+            } else if (log.topics[0] === this.TRANSFER_EVENT_SIGNATURE) {
                 try {
                     const erc20Change = await this.parseTransferEvent(log);
                     if (erc20Change) {
@@ -199,6 +625,403 @@ class TransactionProcessor {
         }
     }
 
+    /**
+     * 是否为 NFT 转账事件: ERC721 Transfer（4 个 topic）或 ERC1155 TransferSingle / TransferBatch
+     * @param {Object} log - 事件日志
+     * @returns {boolean} 是否为 NFT 转账
+     */
+    isNftTransferLog(log) {
+        return (log.topics[0] === this.TRANSFER_EVENT_SIGNATURE && log.topics.length === 4) ||
+            log.topics[0] === this.TRANSFER_SINGLE_EVENT_SIGNATURE ||
+            log.topics[0] === this.TRANSFER_BATCH_EVENT_SIGNATURE;
+    }
+
+    /**
+     * 解析 NFT 转账事件
+     * - ERC721 Transfer(address indexed from, address indexed to, uint256 indexed tokenId)
+     * - ERC1155 TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)
+     * - ERC1155 TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)
+     * @param {Object} log - 事件日志
+     * @returns {Promise<Object|null>} { standard, tokenAddress, collectionName, collectionSymbol, from, to, tokenIds, amounts }
+     */
+    async parseNftTransferEvent(log) {
+        try {
+            const topicAddress = topic => ethers.getAddress('0x' + topic.slice(26));
+            const toList = value => (Array.isArray(value) ? Array.from(value) : [value]).map(item => item.toString());
+            
+            let standard, from, to, tokenIds, amounts;
+            if (log.topics[0] === this.TRANSFER_EVENT_SIGNATURE) {
+                standard = 'erc721';
+                from = topicAddress(log.topics[1]);
+                to = topicAddress(log.topics[2]);
+                tokenIds = [BigInt(log.topics[3]).toString()];
+                amounts = ['1'];
+            } else {
+                standard = 'erc1155';
+                from = topicAddress(log.topics[2]);
+                to = topicAddress(log.topics[3]);
+                const types = log.topics[0] === this.TRANSFER_SINGLE_EVENT_SIGNATURE
+                    ? ['uint256', 'uint256']
+                    : ['uint256[]', 'uint256[]'];
+                const [ids, values] = ethers.AbiCoder.defaultAbiCoder().decode(types, log.data);
+                tokenIds = toList(ids);
+                amounts = toList(values);
+            }
+            
+            // 合集名称（ERC1155 合约常常没有 name/symbol）
+            const tokenInfo = await this.getTokenInfo(log.address);
+            
+            return {
+                standard,
+                tokenAddress: log.address,
+                collectionName: tokenInfo.name,
+                collectionSymbol: tokenInfo.symbol,
+                from,
+                to,
+                tokenIds,
+                amounts,
+                logIndex: log.logIndex
+            };
+        } catch (error) {
+            this.logger.error(`❌ 解析NFT转账事件失败:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 整理授权记录
+     * - 交易直接调用代币合约的 approve / increaseAllowance / setApprovalForAll / permit 时标记为授权操作（direct），只有这类授权会提醒风险
+     * - 其他 Approval 在同一交易中授权方有同一代币的转出时，是 transferFrom 扣减额度（或 SafeMoon 类代币转账）附带的事件，不是授权操作，直接忽略
+     * - 授权给普通地址（而非合约）通常是钓鱼，查询被授权方是否为EOA
+     * @param {Object} transaction - 交易对象
+     * @param {Object} result - 结果对象
+     */
+    async classifyApprovals(transaction, result) {
+        if (result.approvals.length === 0) {
+            return;
+        }
+        
+        const transfersFrom = new Set([...result.erc20Changes, ...result.nftChanges]
+            .map(change => `${change.tokenAddress.toLowerCase()}:${change.from.toLowerCase()}`));
+        const isApprovalCall = this.APPROVAL_METHODS.has((result.methodSignature || '').toLowerCase());
+        const target = (transaction.to || '').toLowerCase();
+        
+        const approvals = [];
+        for (const approval of result.approvals) {
+            const tokenAddress = approval.tokenAddress.toLowerCase();
+            approval.direct = isApprovalCall && target === tokenAddress;
+            if (!approval.direct && transfersFrom.has(`${tokenAddress}:${approval.owner.toLowerCase()}`)) {
+                continue;
+            }
+            
+            if (approval.direct && approval.approved) {
+                approval.spenderIsEOA = await this.isEOA(approval.spender);
+            }
+            approvals.push(approval);
+        }
+        result.approvals = approvals;
+    }
+
+    /**
+     * 解析授权事件
+     * ERC20 Approval 的额度在 data 中；ERC721 Approval 有 4 个 topic，tokenId 在 topic3；ApprovalForAll 的 data 为是否授权
+     * @param {Object} log - 事件日志
+     * @returns {Promise<Object|null>} { type: erc20 / erc721 / all, tokenAddress, tokenSymbol, owner, spender, spenderIsEOA, value, formattedValue, tokenId, approved, unlimited, direct }
+     */
+    async parseApprovalEvent(log) {
+        try {
+            const owner = ethers.getAddress('0x' + log.topics[1].slice(26));
+            const spender = ethers.getAddress('0x' + log.topics[2].slice(26));
+            const tokenInfo = await this.getTokenInfo(log.address);
+            
+            const approval = {
+                type: 'erc20',
+                tokenAddress: log.address,
+                tokenSymbol: tokenInfo.symbol,
+                owner,
+                spender,
+                spenderIsEOA: false,
+                value: null,
+                formattedValue: null,
+                tokenId: null,
+                approved: true,
+                unlimited: false,
+                direct: false
+            };
+            
+            if (log.topics[0] === this.APPROVAL_FOR_ALL_EVENT_SIGNATURE) {
+                // 授权全部 NFT，等同于无限授权
+                approval.type = 'all';
+                approval.approved = BigInt(log.data) !== 0n;
+                approval.unlimited = approval.approved;
+            } else if (log.topics.length === 4) {
+                approval.type = 'erc721';
+                approval.tokenId = BigInt(log.topics[3]).toString();
+                approval.approved = spender !== ethers.ZeroAddress;
+            } else {
+                const value = BigInt(log.data);
+                approval.value = value.toString();
+                approval.formattedValue = this.formatTokenValue(value, tokenInfo.decimals);
+                approval.approved = value > 0n;
+                approval.unlimited = value >= this.UNLIMITED_APPROVAL_THRESHOLD;
+            }
+            
+            return approval;
+        } catch (error) {
+            this.logger.error(`❌ 解析授权事件失败:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 是否为包装原生币合约（WBNB 等）
+     * @param {string} address - 合约地址
+     * @returns {boolean} 是否为包装原生币
+     */
+    isWrappedNative(address) {
+        return !!address && this.WRAPPED_NATIVE_TOKENS.has(address.toLowerCase());
+    }
+
+    /**
+     * 设置包装原生币合约列表
+     * @param {Array<string>} addresses - 合约地址
+     */
+    setWrappedNativeTokens(addresses) {
+        this.WRAPPED_NATIVE_TOKENS = new Set(addresses.map(address => address.toLowerCase()));
+    }
+
+    /**
+     * 解析包装原生币的 Deposit / Withdrawal 事件
+     * Deposit(address indexed dst, uint256 wad) / Withdrawal(address indexed src, uint256 wad)
+     * @param {Object} log - 事件日志
+     * @returns {Promise<Object|null>} { type: wrap / unwrap, tokenAddress, tokenSymbol, account, value, formattedValue }
+     */
+    async parseWrapEvent(log) {
+        try {
+            const value = BigInt(log.data);
+            const tokenInfo = await this.getTokenInfo(log.address);
+            return {
+                type: log.topics[0] === this.DEPOSIT_EVENT_SIGNATURE ? 'wrap' : 'unwrap',
+                tokenAddress: log.address,
+                tokenSymbol: tokenInfo.symbol,
+                account: ethers.getAddress('0x' + log.topics[1].slice(26)),
+                value,
+                formattedValue: ethers.formatEther(value)
+            };
+        } catch (error) {
+            this.logger.error(`❌ 解析包装事件失败:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 计算地址在交易中的净资产变化（BNB 与各代币）
+     * 包装原生币（WBNB 等）与 BNB 合并计算，自己包装/解包的净变化为 0
+     * @param {Object} result - 解析结果
+     * @param {string} address - 地址
+     * @returns {Map<string, Object>} 代币地址（BNB 为 'bnb'）-> { tokenAddress, tokenSymbol, decimals, amount }
+     */
+    computeNetDeltas(result, address) {
+        const wallet = address.toLowerCase();
+        const deltas = new Map();
+        const add = (key, tokenAddress, tokenSymbol, decimals, amount) => {
+            if (!deltas.has(key)) {
+                deltas.set(key, { tokenAddress, tokenSymbol, decimals, amount: 0n });
+            }
+            deltas.get(key).amount += amount;
+        };
+        
+        // BNB: 交易金额 + 合约内部转账
+        const value = BigInt(result.value || '0');
+        if (value > 0n && result.from.toLowerCase() === wallet) {
+            add('bnb', null, 'BNB', 18, -value);
+        }
+        if (value > 0n && result.to && result.to.toLowerCase() === wallet) {
+            add('bnb', null, 'BNB', 18, value);
+        }
+        for (const transfer of result.bnbChange.internal) {
+            if (transfer.to.toLowerCase() === wallet) {
+                add('bnb', null, 'BNB', 18, transfer.value);
+            }
+            if (transfer.from.toLowerCase() === wallet) {
+                add('bnb', null, 'BNB', 18, -transfer.value);
+            }
+        }
+        
+        // 包装/解包没有 Transfer 事件: 包装得到的 WBNB 计为 BNB 收入，解包销毁的 WBNB 计为 BNB 支出
+        for (const wrap of result.wraps) {
+            if (wrap.account.toLowerCase() !== wallet) {
+                continue;
+            }
+            add('bnb', null, 'BNB', 18, wrap.type === 'wrap' ? wrap.value : -wrap.value);
+            
+            // 解包时合约把 BNB 转回给账户；节点不支持追踪、看不到这笔内部转账时按 Withdrawal 金额补上
+            const contract = wrap.tokenAddress.toLowerCase();
+            const refunded = result.bnbChange.internal.some(transfer =>
+                transfer.from.toLowerCase() === contract && transfer.to.toLowerCase() === wallet);
+            if (wrap.type === 'unwrap' && !refunded) {
+                add('bnb', null, 'BNB', 18, wrap.value);
+            }
+        }
+        
+        // 代币转账（包装原生币计入 BNB）
+        for (const change of result.erc20Changes) {
+            const amount = BigInt(change.value);
+            const [key, tokenAddress, tokenSymbol, decimals] = this.isWrappedNative(change.tokenAddress)
+                ? ['bnb', null, 'BNB', 18]
+                : [change.tokenAddress.toLowerCase(), change.tokenAddress, change.tokenSymbol, change.tokenDecimals];
+            if (change.to.toLowerCase() === wallet) {
+                add(key, tokenAddress, tokenSymbol, decimals, amount);
+            }
+            if (change.from.toLowerCase() === wallet) {
+                add(key, tokenAddress, tokenSymbol, decimals, -amount);
+            }
+        }
+        
+        // 去掉净变化为 0 的资产
+        for (const [key, delta] of deltas) {
+            if (delta.amount === 0n) {
+                deltas.delete(key);
+            }
+        }
+        return deltas;
+    }
+
+    /**
+     * 识别 DEX 兑换: 收据中有池子的 Swap 事件时，按兑换账户的净资产变化生成兑换记录
+     * 兑换账户为交易发起方，以及 Swap 事件中输出代币的接收方（他人代为发起或路由指定了接收地址）
+     * 多跳兑换（A -> WBNB -> B）只记录最终的支出和收入
+     * @param {Array} logs - 事件日志
+     * @param {Object} result - 结果对象
+     */
+    analyzeSwaps(logs, result) {
+        const swapEvents = logs.map(log => this.parseSwapEvent(log)).filter(Boolean);
+        if (swapEvents.length === 0) {
+            return;
+        }
+        
+        // 小写地址 -> 原始地址；池子之间的中转不算兑换账户
+        const pools = new Set(swapEvents.map(event => event.pool.toLowerCase()));
+        const accounts = new Map([[result.from.toLowerCase(), result.from]]);
+        for (const event of swapEvents) {
+            const recipient = event.recipient.toLowerCase();
+            if (!pools.has(recipient) && !accounts.has(recipient)) {
+                accounts.set(recipient, event.recipient);
+            }
+        }
+        
+        for (const account of accounts.values()) {
+            const swap = this.buildSwap(account, result, swapEvents);
+            if (swap) {
+                result.swaps.push(swap);
+            }
+        }
+    }
+
+    /**
+     * 按账户的净资产变化生成兑换记录
+     * @param {string} account - 兑换账户
+     * @param {Object} result - 结果对象
+     * @param {Array} swapEvents - 解析后的 Swap 事件
+     * @returns {Object|null} 兑换记录，账户没有一进一出时为 null
+     */
+    buildSwap(account, result, swapEvents) {
+        const deltas = Array.from(this.computeNetDeltas(result, account).entries());
+        const spent = deltas.find(([, delta]) => delta.amount < 0n);
+        let received = deltas.find(([, delta]) => delta.amount > 0n);
+        
+        // 没有追踪到内部转账时看不到卖出换回的 BNB: 路由从池子收到 WBNB 后解包转给发起方，按解包金额补上
+        if (spent && !received && account === result.from && result.bnbChange.internal.length === 0) {
+            const unwrap = this.findSwapUnwrap(result, account, swapEvents);
+            if (unwrap) {
+                received = ['bnb', { tokenAddress: null, tokenSymbol: 'BNB', decimals: 18, amount: unwrap.value }];
+            }
+        }
+        if (!spent || !received) {
+            return null;
+        }
+        
+        const [inKey, tokenIn] = spent;
+        const [outKey, tokenOut] = received;
+        const amountIn = this.formatTokenValue(-tokenIn.amount, tokenIn.decimals);
+        const amountOut = this.formatTokenValue(tokenOut.amount, tokenOut.decimals);
+        
+        // BUY: 用计价代币买入; SELL: 卖出换回计价代币; 其他为代币互换
+        let direction = 'swap';
+        if (this.QUOTE_TOKENS.has(inKey) && !this.QUOTE_TOKENS.has(outKey)) {
+            direction = 'buy';
+        } else if (!this.QUOTE_TOKENS.has(inKey) && this.QUOTE_TOKENS.has(outKey)) {
+            direction = 'sell';
+        }
+        
+        // 成交价格: 每个非计价代币值多少计价代币（互换时为每个 tokenOut 值多少 tokenIn）
+        const price = direction === 'sell'
+            ? parseFloat(amountOut) / parseFloat(amountIn)
+            : parseFloat(amountIn) / parseFloat(amountOut);
+        
+        return {
+            direction,
+            account,
+            protocol: swapEvents[0].protocol,
+            pools: [...new Set(swapEvents.map(event => event.pool))],
+            tokenIn: { tokenAddress: tokenIn.tokenAddress, tokenSymbol: tokenIn.tokenSymbol, amount: amountIn },
+            tokenOut: { tokenAddress: tokenOut.tokenAddress, tokenSymbol: tokenOut.tokenSymbol, amount: amountOut },
+            price: isFinite(price) ? price : null
+        };
+    }
+
+    /**
+     * 查找兑换输出的 WBNB 被路由解包的记录（解包金额等于某个池子的输出金额）
+     * @param {Object} result - 结果对象
+     * @param {string} account - 兑换账户
+     * @param {Array} swapEvents - 解析后的 Swap 事件
+     * @returns {Object|null} 解包记录
+     */
+    findSwapUnwrap(result, account, swapEvents) {
+        const outputs = new Set(swapEvents.flatMap(event => event.amountsOut.map(amount => amount.toString())));
+        return result.wraps.find(wrap =>
+            wrap.type === 'unwrap' &&
+            wrap.account.toLowerCase() !== account.toLowerCase() &&
+            outputs.has(wrap.value.toString())
+        ) || null;
+    }
+
+    /**
+     * 解析池子的 Swap 事件，得到输出代币的接收方和输出金额
+     * V2: Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)
+     * V3: Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, ...)，负数为池子输出
+     * @param {Object} log - 事件日志
+     * @returns {Object|null} { protocol, pool, recipient, amountsOut }
+     */
+    parseSwapEvent(log) {
+        const protocol = this.SWAP_EVENT_SIGNATURES[log.topics[0]];
+        if (!protocol || log.topics.length < 3) {
+            return null;
+        }
+        
+        try {
+            const coder = ethers.AbiCoder.defaultAbiCoder();
+            let amountsOut;
+            if (protocol === 'v2') {
+                const [, , amount0Out, amount1Out] = coder.decode(['uint256', 'uint256', 'uint256', 'uint256'], log.data);
+                amountsOut = [amount0Out, amount1Out];
+            } else {
+                const [amount0, amount1] = coder.decode(['int256', 'int256'], ethers.dataSlice(log.data, 0, 64));
+                amountsOut = [amount0 < 0n ? -amount0 : 0n, amount1 < 0n ? -amount1 : 0n];
+            }
+            
+            return {
+                protocol,
+                pool: log.address,
+                recipient: ethers.getAddress('0x' + log.topics[2].slice(26)),
+                amountsOut: amountsOut.filter(amount => amount > 0n)
+            };
+        } catch (error) {
+            this.logger.error(`❌ 解析Swap事件失败:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * 解析Transfer事件
      * @param {Object} log - 事件日志
@@ -217,6 +1040,7 @@ class TransactionProcessor {
             return {
                 type: 'transfer',
                 tokenAddress: log.address,
+                wrappedNative: this.isWrappedNative(log.address), // 包装原生币（WBNB 等），按 BNB 展示
                 tokenSymbol: tokenInfo.symbol,
                 tokenName: tokenInfo.name,
                 tokenDecimals: tokenInfo.decimals,
@@ -242,20 +1066,7 @@ class TransactionProcessor {
      */
     async getTokenInfo(tokenAddress) {
         try {
-            const contract = new ethers.Contract(tokenAddress, [
-                'function name() view returns (string)',
-                'function symbol() view returns (string)',
-                'function decimals() view returns (uint8)'
-            ], this.provider);
-
-            const [name, symbol, decimals] = await Promise.all([
-                contract.name().catch(() => 'Unknown'),
-                contract.symbol().catch(() => 'UNKNOWN'),
-                contract.decimals().catch(() => 18)
-            ]);
-
-            return { name, symbol, decimals };
-
+            return await this.tokenCache.get(tokenAddress);
         } catch (error) {
             this.logger.error(`❌ 获取代币信息失败 ${tokenAddress}:`, error.message);
             return { name: 'Unknown', symbol: 'UNKNOWN', decimals: 18 };
@@ -280,9 +1091,10 @@ class TransactionProcessor {
      * 批量处理交易
      * @param {Array} transactions - 交易列表
      * @param {Array} receipts - 交易收据列表（可选）
+     * @param {Object} blockContext - 所在区块信息（可选）
      * @returns {Promise<Array>} 处理后的交易数据
      */
-    async processTransactions(transactions, receipts = []) {
+    async processTransactions(transactions, receipts = [], blockContext = null) {
         const results = [];
         
         for (let i = 0; i < transactions.length; i++) {
@@ -290,7 +1102,7 @@ class TransactionProcessor {
             const receipt = receipts[i] || null;
             
             try {
-                const parsed = await this.parseTransaction(transaction, receipt);
+                const parsed = await this.parseTransaction(transaction, receipt, blockContext);
                 if (parsed) {
                     results.push(parsed);
                 }
@@ -346,14 +1158,19 @@ class TransactionProcessor {
             // 基本信息
             hash: parsedTransaction.hash,
             blockNumber: parsedTransaction.blockNumber,
+            blockHash: parsedTransaction.blockHash,
+            transactionIndex: parsedTransaction.transactionIndex,
             timestamp: parsedTransaction.timestamp && !isNaN(parsedTransaction.timestamp) 
                 ? new Date(parsedTransaction.timestamp * 1000).toISOString()
                 : new Date().toISOString(), // 如果时间戳无效，使用当前时间
+            miner: parsedTransaction.miner,
             from: parsedTransaction.from,
             to: parsedTransaction.to,
             
             // 交易类型
             transactionType: parsedTransaction.transactionType,
+            methodSignature: parsedTransaction.methodSignature,
+            method: parsedTransaction.method,
             isTransfer: parsedTransaction.isTransfer,
             isERC20Transaction: parsedTransaction.isERC20Transaction,
             isEOA: parsedTransaction.isEOA,
@@ -362,18 +1179,51 @@ class TransactionProcessor {
             bnbChange: {
                 from: parsedTransaction.bnbChange.from,
                 to: parsedTransaction.bnbChange.to,
+                internal: parsedTransaction.bnbChange.internal.map(transfer => ({
+                    from: transfer.from,
+                    to: transfer.to,
+                    value: transfer.value.toString(),
+                    formattedValue: ethers.formatEther(transfer.value)
+                })),
                 formatted: {
                     from: parsedTransaction.bnbChange.from ? `${parsedTransaction.bnbChange.from} BNB` : '0 BNB',
                     to: parsedTransaction.bnbChange.to ? `${parsedTransaction.bnbChange.to} BNB` : '0 BNB'
                 }
             },
             
+            // 包装/解包
+            wraps: parsedTransaction.wraps.map(wrap => ({
+                type: wrap.type,
+                tokenAddress: wrap.tokenAddress,
+                tokenSymbol: wrap.tokenSymbol,
+                account: wrap.account,
+                value: wrap.value.toString(),
+                formattedValue: wrap.formattedValue
+            })),
+            
+            // NFT 转账
+            nftChanges: parsedTransaction.nftChanges,
+            
+            // 授权
+            approvals: parsedTransaction.approvals,
+            
+            // DEX 兑换
+            swaps: parsedTransaction.swaps,
+            
+            // 合约部署
+            deployment: parsedTransaction.deployment && {
+                ...parsedTransaction.deployment,
+                totalSupply: parsedTransaction.deployment.totalSupply?.toString() ?? null
+            },
+            
             // ERC20变化
             erc20Changes: parsedTransaction.erc20Changes.map(change => ({
                 type: change.type,
                 tokenAddress: change.tokenAddress,
+                wrappedNative: change.wrappedNative,
                 tokenSymbol: change.tokenSymbol,
                 tokenName: change.tokenName,
+                tokenDecimals: change.tokenDecimals,
                 from: change.from,
                 to: change.to,
                 value: change.value,
@@ -386,6 +1236,7 @@ class TransactionProcessor {
                 price: ethers.formatUnits(parsedTransaction.gasPrice, 'gwei'),
                 limit: parsedTransaction.gasLimit.toString(),
                 used: parsedTransaction.gasUsed.toString(),
+                baseFee: parsedTransaction.baseFeePerGas !== null ? ethers.formatUnits(parsedTransaction.baseFeePerGas, 'gwei') : null,
                 formatted: {
                     price: `${ethers.formatUnits(parsedTransaction.gasPrice, 'gwei')} Gwei`,
                     limit: parsedTransaction.gasLimit.toString(),
@@ -395,7 +1246,8 @@ class TransactionProcessor {
             
             // 状态
             status: parsedTransaction.status,
-            success: parsedTransaction.status === 1
+            success: parsedTransaction.status === 1,
+            revertReason: parsedTransaction.revertReason
         };
     }
 }
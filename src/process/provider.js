@@ -0,0 +1,249 @@
+const { ethers } = require('ethers');
+
+// 视为节点故障（需要换节点重试）的 JSON-RPC 错误
+const RETRYABLE_RPC_ERROR = /rate limit|too many requests|limit exceeded|timeout|timed out|header not found|unknown block|missing trie node|internal error|service unavailable|bad gateway/i;
+
+/**
+ * 多节点 RPC Provider
+ * 按延迟、错误率和区块高度落后程度给每个节点打分，请求优先发往健康节点，
+ * 失败的读请求自动换节点重试
+ */
+class MultiRpcProvider extends ethers.JsonRpcProvider {
+    /**
+     * @param {Array<string>} urls - HTTP(S) 节点地址列表
+     * @param {Object} options - 配置
+     * @param {number} options.chainId - 链ID，默认 BSC (56)
+     * @param {number} options.timeout - 单次请求超时(ms)
+     * @param {number} options.maxAttempts - 单个请求最多尝试的节点数
+     * @param {number} options.healthInterval - 检查节点区块高度的间隔(ms)
+     * @param {number} options.cooldown - 连续失败后暂停使用节点的时间(ms)
+     */
+    constructor(urls, options = {}) {
+        if (!urls || urls.length === 0) {
+            throw new Error('至少需要配置一个 RPC 节点');
+        }
+
+        const network = ethers.Network.from(options.chainId || 56);
+        super(urls[0], network, { staticNetwork: network, batchMaxCount: 1 });
+
+        this.options = {
+            timeout: options.timeout || 10000,
+            maxAttempts: options.maxAttempts || Math.min(urls.length, 3),
+            healthInterval: options.healthInterval || 10000,
+            cooldown: options.cooldown || 30000,
+            maxConsecutiveErrors: options.maxConsecutiveErrors || 3,
+            errorRateWeight: options.errorRateWeight || 0.1, // 错误率指数移动平均中最近一次请求的权重（约反映最近 10 次请求）
+        };
+
+        // 节点状态
+        this.endpoints = urls.map(url => ({
+            url,
+            host: MultiRpcProvider.getHost(url), // 对外展示只用主机名，地址中可能带有 API Key
+            connection: new ethers.FetchRequest(url),
+            requests: 0,
+            errors: 0,
+            errorRate: 0, // 近期错误率，指数移动平均
+            consecutiveErrors: 0,
+            latency: 0, // 平均延迟(ms)，指数移动平均
+            blockNumber: 0,
+            lastError: null,
+            lastErrorAt: 0,
+            cooldownUntil: 0
+        }));
+        this.endpoints.forEach(endpoint => {
+            endpoint.connection.timeout = this.options.timeout;
+        });
+
+        this.requestId = 0;
+
+        // 定时检查各节点的区块高度
+        this.healthTimer = setInterval(() => this.checkHealth(), this.options.healthInterval);
+        this.healthTimer.unref();
+        this.checkHealth();
+    }
+
+    /**
+     * 获取节点地址的主机名
+     * @param {string} url - 节点地址
+     * @returns {string} 主机名（含端口），无法解析时为 unknown
+     */
+    static getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * 发送 JSON-RPC 请求，按健康度选择节点，节点故障时换节点重试
+     * @param {Object} payload - JSON-RPC 请求
+     * @returns {Promise<Array>} JSON-RPC 响应列表
+     */
+    async _send(payload) {
+        const candidates = this.rankEndpoints().slice(0, this.options.maxAttempts);
+        let lastError = null;
+
+        for (const endpoint of candidates) {
+            try {
+                const results = await this.sendToEndpoint(endpoint, payload);
+
+                const rpcError = results.find(result => result.error && RETRYABLE_RPC_ERROR.test(result.error.message || ''));
+                if (rpcError) {
+                    this.recordFailure(endpoint, new Error(rpcError.error.message));
+                    lastError = rpcError;
+                    continue;
+                }
+
+                return results;
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+                lastError = error;
+            }
+        }
+
+        // 所有节点都失败: JSON-RPC 错误原样返回，网络错误抛出
+        if (lastError && lastError.error) {
+            return [lastError];
+        }
+        throw lastError || new Error('没有可用的 RPC 节点');
+    }
+
+    /**
+     * 向指定节点发送请求并记录延迟
+     * @param {Object} endpoint - 节点状态
+     * @param {Object} payload - JSON-RPC 请求
+     * @returns {Promise<Array>} JSON-RPC 响应列表
+     */
+    async sendToEndpoint(endpoint, payload) {
+        const request = endpoint.connection.clone();
+        request.body = JSON.stringify(payload);
+        request.setHeader('content-type', 'application/json');
+
+        const startTime = Date.now();
+        endpoint.requests++;
+
+        const response = await request.send();
+        response.assertOk();
+
+        this.recordSuccess(endpoint, Date.now() - startTime);
+
+        const body = response.bodyJson;
+        return Array.isArray(body) ? body : [body];
+    }
+
+    /**
+     * 记录成功请求
+     * @param {Object} endpoint - 节点状态
+     * @param {number} latency - 本次延迟(ms)
+     */
+    recordSuccess(endpoint, latency) {
+        endpoint.latency = endpoint.latency ? Math.round(endpoint.latency * 0.8 + latency * 0.2) : latency;
+        endpoint.errorRate *= 1 - this.options.errorRateWeight;
+        endpoint.consecutiveErrors = 0;
+    }
+
+    /**
+     * 记录失败请求，连续失败过多时暂停使用该节点
+     * @param {Object} endpoint - 节点状态
+     * @param {Error} error - 错误
+     */
+    recordFailure(endpoint, error) {
+        endpoint.errors++;
+        endpoint.errorRate = endpoint.errorRate * (1 - this.options.errorRateWeight) + this.options.errorRateWeight;
+        endpoint.consecutiveErrors++;
+        endpoint.lastError = (error.shortMessage || error.message || '').split(endpoint.url).join(endpoint.host);
+        endpoint.lastErrorAt = Date.now();
+
+        if (endpoint.consecutiveErrors >= this.options.maxConsecutiveErrors) {
+            endpoint.cooldownUntil = Date.now() + this.options.cooldown;
+        }
+    }
+
+    /**
+     * 获取所有节点中最高的区块号
+     * @returns {number} 区块号
+     */
+    getBestBlockNumber() {
+        return Math.max(0, ...this.endpoints.map(endpoint => endpoint.blockNumber));
+    }
+
+    /**
+     * 计算节点得分（越低越好）: 平均延迟 + 近期错误率惩罚 + 区块落后惩罚
+     * @param {Object} endpoint - 节点状态
+     * @returns {number} 得分
+     */
+    scoreEndpoint(endpoint) {
+        const lag = endpoint.blockNumber ? this.getBestBlockNumber() - endpoint.blockNumber : 0;
+        return endpoint.latency + endpoint.errorRate * 5000 + lag * 1000;
+    }
+
+    /**
+     * 按健康度排序节点，暂停中的节点排在最后
+     * @returns {Array<Object>} 排序后的节点
+     */
+    rankEndpoints() {
+        const now = Date.now();
+        return [...this.endpoints].sort((a, b) => {
+            const aCooling = a.cooldownUntil > now ? 1 : 0;
+            const bCooling = b.cooldownUntil > now ? 1 : 0;
+            if (aCooling !== bCooling) {
+                return aCooling - bCooling;
+            }
+            return this.scoreEndpoint(a) - this.scoreEndpoint(b);
+        });
+    }
+
+    /**
+     * 查询每个节点的最新区块号，用于计算落后程度
+     */
+    async checkHealth() {
+        await Promise.allSettled(this.endpoints.map(async endpoint => {
+            try {
+                const [result] = await this.sendToEndpoint(endpoint, {
+                    method: 'eth_blockNumber',
+                    params: [],
+                    id: `health-${++this.requestId}`,
+                    jsonrpc: '2.0'
+                });
+                if (result.error) {
+                    throw new Error(result.error.message);
+                }
+                endpoint.blockNumber = parseInt(result.result, 16);
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+            }
+        }));
+    }
+
+    /**
+     * 获取各节点健康状态（只包含主机名，不暴露完整地址）
+     * @returns {Array<Object>} 节点状态列表
+     */
+    getStats() {
+        const now = Date.now();
+        const bestBlock = this.getBestBlockNumber();
+
+        return this.endpoints.map(endpoint => ({
+            host: endpoint.host,
+            healthy: endpoint.cooldownUntil <= now,
+            latency: endpoint.latency,
+            requests: endpoint.requests,
+            errors: endpoint.errors,
+            errorRate: Number(endpoint.errorRate.toFixed(4)),
+            blockNumber: endpoint.blockNumber,
+            lag: endpoint.blockNumber ? bestBlock - endpoint.blockNumber : null,
+            lastError: endpoint.lastError
+        }));
+    }
+
+    /**
+     * 销毁 provider，停止健康检查
+     */
+    destroy() {
+        clearInterval(this.healthTimer);
+        super.destroy();
+    }
+}
+
+module.exports = MultiRpcProvider;
@@ -0,0 +1,81 @@
+/**
+ * 区块重试队列 - 记录处理失败的区块，按指数退避重试
+ * 队列保存在 Redis 中，重启后继续重试
+ */
+class BlockRetryQueue {
+    /**
+     * @param {RefRedis} redis - 数据库
+     * @param {Object} options - 配置
+     * @param {number} options.maxAttempts - 最多重试次数，仍失败则放弃该区块
+     * @param {number} options.baseDelay - 首次重试延迟(ms)，之后每次翻倍
+     * @param {number} options.maxDelay - 最大重试延迟(ms)
+     */
+    constructor(redis, options = {}) {
+        this.redis = redis;
+        this.options = {
+            maxAttempts: options.maxAttempts || 5,
+            baseDelay: options.baseDelay || 5000,
+            maxDelay: options.maxDelay || 300000,
+        };
+
+        // 队列中的区块数（缓存，供统计信息同步读取）
+        this.size = 0;
+    }
+
+    /**
+     * 计算第 n 次重试前的等待时间
+     * @param {number} attempts - 已失败次数
+     * @returns {number} 延迟(ms)
+     */
+    getDelay(attempts) {
+        return Math.min(this.options.baseDelay * 2 ** Math.max(attempts - 1, 0), this.options.maxDelay);
+    }
+
+    /**
+     * 记录一次失败，安排下次重试
+     * @param {number} blockNumber - 区块号
+     * @returns {Promise<Object>} { attempts, exhausted } attempts 为累计失败次数（含首次处理），exhausted 表示已达到最多重试次数并移出队列
+     */
+    async recordFailure(blockNumber) {
+        const attempts = await this.redis.incrRetryAttempts(blockNumber);
+
+        if (attempts > this.options.maxAttempts) {
+            await this.redis.removeRetryBlock(blockNumber);
+            await this.refreshSize();
+            return { attempts, exhausted: true };
+        }
+
+        await this.redis.scheduleRetryBlock(blockNumber, Date.now() + this.getDelay(attempts));
+        await this.refreshSize();
+        return { attempts, exhausted: false };
+    }
+
+    /**
+     * 获取已到重试时间的区块
+     * @param {number} limit - 最多返回数量
+     * @returns {Promise<Array<number>>} 区块号列表
+     */
+    async getDueBlocks(limit = 10) {
+        return await this.redis.getDueRetryBlocks(Date.now(), limit);
+    }
+
+    /**
+     * 区块重试成功，移出队列
+     * @param {number} blockNumber - 区块号
+     */
+    async remove(blockNumber) {
+        await this.redis.removeRetryBlock(blockNumber);
+        await this.refreshSize();
+    }
+
+    /**
+     * 刷新队列长度缓存
+     * @returns {Promise<number>} 队列中的区块数
+     */
+    async refreshSize() {
+        this.size = await this.redis.countRetryBlocks();
+        return this.size;
+    }
+}
+
+module.exports = BlockRetryQueue;
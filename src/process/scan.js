@@ -1,30 +1,138 @@
+const { EventEmitter } = require('events');
 const { ethers } = require('ethers');
 const TransactionProcessor = require('./process');
+const MultiRpcProvider = require('./provider');
+const ReconnectingWebSocketProvider = require('./socket');
 require('dotenv').config();
 
 /**
  * 区块扫描器 - 扫描指定区块区间的交易并解析
+ *
+ * 事件:
+ * - reverted: 已返回过的交易因链重组被回滚 (tx)
+ * - reorg: 检测到链重组 ({ orphanedBlocks, reverted, replaced })
+ * - pending: 内存池中出现监控地址相关的待打包交易 (tx)
+ * - headsConnected / headsDisconnected: 新区块订阅连接状态变化
+ * - blockFailed: 区块或交易收据获取失败，区块未被处理 ({ blockNumber, reason })
  */
-class BlockScanner {
+class BlockScanner extends EventEmitter {
     constructor(providerUrl = 'https://dragon.maiko.icu/bsc2h', logger) {
-        this.provider = new ethers.JsonRpcProvider(providerUrl);
+        super();
+        // 支持节点地址（逗号分隔或数组表示多个节点），或直接传入 provider 实例（如测试用的模拟节点）
+        this.provider = typeof providerUrl === 'string' || Array.isArray(providerUrl)
+            ? BlockScanner.createProvider(providerUrl, logger)
+            : providerUrl;
         this.logger = logger;
         this.processor = new TransactionProcessor(this.provider, this.logger);
         
         // 监控的地址列表
         this.watchedAddresses = new Set();
         
+        // 最近处理的区块: 区块号 -> { hash, parentHash, transactions }，用于检测链重组
+        this.recentBlocks = new Map();
+        
+        // 节点不支持 trace_block 时暂停使用（逐笔使用 debug_traceTransaction），到期后重新尝试
+        this.traceBlockDisabledUntil = 0;
+        
+        // 内存池监听（断线自动重连）
+        this.pendingUrl = null;
+        this.pendingProvider = null;
+        this.pendingActive = false;
+        this.pendingRetryDelay = 1000;
+        this.pendingReconnectTimer = null;
+        this.pendingInFlight = 0;
+        this.droppedPendingHashes = 0;
+        this.seenPendingHashes = new Set();
+        
+        // 新区块订阅（newHeads）
+        this.headsUrl = null;
+        this.headsProvider = null;
+        this.headsActive = false;
+        this.headsConnected = false;
+        this.headsRetryDelay = 1000;
+        this.headsReconnectTimer = null;
+        this.headsWatchdog = null;
+        this.onNewHead = null;
+        this.latestHead = 0;
+        this.lastHeadAt = 0;
+        
         // 扫描配置
         this.config = {
             minValue: ethers.parseEther('0.000'), // 最小交易金额 (BNB)
             maxValue: ethers.parseEther('10000'), // 最大交易金额 (BNB)
-            includeInternal: true, // 是否包含内部交易
+            includeInternal: true, // 是否识别合约内部转出的BNB（需要节点支持 trace_block 或 debug_traceTransaction）
             includeTokenTransfers: true, // 是否包含代币转账
+            detectIncoming: true, // 是否通过 Transfer 日志识别转入监控地址的代币（他人发起的交易）
+            detectApprovals: true, // 是否通过 Approval 日志识别监控地址的授权（如他人提交的 permit 签名）
+            topicChunkSize: 50, // 每次 getLogs 查询的地址数量（节点对 topic 数量有限制）
+            strategy: 'blocks', // blocks: 获取完整区块逐笔过滤; logs: 按 Transfer 日志查询，只获取命中的交易
             batchSize: 5, // 批量处理大小
             delay: 100, // 请求间隔(ms)
+            reorgWindow: 64, // 保留最近区块哈希的数量（重组检测深度）
+            headTimeout: 30000, // 超过该时间(ms)没有收到新区块，视为订阅失效并重连
+            pendingMaxInFlight: 20, // 内存池交易同时查询的最大数量，超出的哈希直接丢弃
         };
     }
 
+    /**
+     * 判断节点地址是否为 WebSocket 地址
+     * @param {string} url - 节点地址
+     * @returns {boolean} 是否为 ws:// 或 wss://
+     */
+    static isWebSocketUrl(url) {
+        return /^wss?:\/\//i.test(url || '');
+    }
+
+    /**
+     * 解析节点地址列表
+     * @param {string|Array<string>} urls - 逗号分隔的节点地址或地址数组
+     * @returns {Array<string>} 节点地址列表
+     */
+    static parseProviderUrls(urls) {
+        const list = Array.isArray(urls) ? urls : String(urls || '').split(',');
+        return list.map(url => url.trim()).filter(Boolean);
+    }
+
+    /**
+     * 根据节点地址创建 provider
+     * - 只有 WebSocket 地址: ReconnectingWebSocketProvider（断线自动重连）
+     * - 单个 HTTP 地址: JsonRpcProvider
+     * - 多个 HTTP 地址: MultiRpcProvider（故障转移和健康评分），WebSocket 地址只用于订阅
+     * @param {string|Array<string>} urls - 节点地址
+     * @param {Logger} logger - 日志器（WebSocket 重连提示）
+     * @returns {ethers.Provider} provider 实例
+     */
+    static createProvider(urls, logger) {
+        const list = BlockScanner.parseProviderUrls(urls);
+        const httpUrls = list.filter(url => !BlockScanner.isWebSocketUrl(url));
+        
+        if (httpUrls.length > 1) {
+            return new MultiRpcProvider(httpUrls);
+        }
+        if (httpUrls.length === 1) {
+            return new ethers.JsonRpcProvider(httpUrls[0]);
+        }
+        return new ReconnectingWebSocketProvider(list[0], logger);
+    }
+
+    /**
+     * 按链上位置（区块号、区块内序号）比较交易，用于排序
+     * @param {Object} a - 交易数据
+     * @param {Object} b - 交易数据
+     * @returns {number} 比较结果
+     */
+    static compareChainPosition(a, b) {
+        return a.blockNumber - b.blockNumber || (a.transactionIndex ?? 0) - (b.transactionIndex ?? 0);
+    }
+
+    /**
+     * 获取各 RPC 节点的健康状态（仅多节点时有数据）
+     * @returns {Array<Object>} 节点状态列表
+     */
+    getProviderStats() {
+        return typeof this.provider.getStats === 'function' ? this.provider.getStats() : [];
+    }
+
     /**
      * 添加监控地址
      * @param {string} address - 以太坊地址
@@ -84,30 +192,40 @@ class BlockScanner {
     }
 
     /**
-     * 获取指定区块的交易
+     * 获取指定区块（包含完整交易）
      * @param {number} blockNumber - 区块号
-     * @returns {Promise<Array>} 交易列表
+     * @returns {Promise<Object|null>} 区块对象
      */
-    async getBlockTransactions(blockNumber) {
+    async getBlock(blockNumber) {
         try {
             const block = await this.provider.getBlock(blockNumber, true);
             if (!block || !block.prefetchedTransactions) {
-                return [];
+                return null;
             }
 
             // 确保区块有时间戳
             if (!block.timestamp || isNaN(block.timestamp)) {
                 this.logger.warn(`⚠️ 区块 ${blockNumber} 时间戳无效，跳过`);
-                return [];
+                return null;
             }
                         
-            return block.prefetchedTransactions;
+            return block;
         } catch (error) {
             this.logger.error(`❌ 获取区块 ${blockNumber} 失败:`, error.message);
-            return [];
+            return null;
         }
     }
 
+    /**
+     * 获取指定区块的交易
+     * @param {number} blockNumber - 区块号
+     * @returns {Promise<Array>} 交易列表
+     */
+    async getBlockTransactions(blockNumber) {
+        const block = await this.getBlock(blockNumber);
+        return block ? block.prefetchedTransactions : [];
+    }
+
     /**
      * 获取交易收据
      * @param {string} transactionHash - 交易哈希
@@ -184,11 +302,294 @@ class BlockScanner {
         return allResults;
     }
 
+    /**
+     * 通过 WebSocket 订阅内存池，监听监控地址相关的待打包交易，断线时自动重连
+     * @param {string} wsUrl - WebSocket 节点地址 (ws:// 或 wss://)
+     */
+    async startPendingWatch(wsUrl) {
+        if (this.pendingActive) {
+            return;
+        }
+        
+        this.pendingUrl = wsUrl;
+        this.pendingActive = true;
+        await this.connectPending();
+    }
+
+    /**
+     * 建立内存池订阅连接，节点推送交易哈希，逐笔查询后按地址过滤
+     */
+    async connectPending() {
+        try {
+            const provider = new ethers.WebSocketProvider(this.pendingUrl);
+            this.pendingProvider = provider;
+            
+            provider.websocket.onclose = () => this.handlePendingDisconnect('连接已关闭');
+            provider.websocket.onerror = (error) => this.handlePendingDisconnect(error.message || '连接错误');
+            
+            await provider.on('pending', hash => this.handlePendingHash(provider, hash));
+            
+            // 等待订阅期间连接已关闭
+            if (this.pendingProvider !== provider) {
+                return;
+            }
+            
+            this.pendingRetryDelay = 1000;
+            this.logger.success(`已订阅内存池: ${this.pendingUrl}`);
+            
+        } catch (error) {
+            this.handlePendingDisconnect(error.shortMessage || error.message);
+        }
+    }
+
+    /**
+     * 处理内存池订阅断开，按指数退避重连
+     * @param {string} reason - 断开原因
+     */
+    handlePendingDisconnect(reason) {
+        if (!this.pendingActive || this.pendingReconnectTimer) {
+            return;
+        }
+        
+        this.closePendingProvider();
+        
+        const delay = this.pendingRetryDelay;
+        this.pendingRetryDelay = Math.min(delay * 2, 60000);
+        this.logger.warn(`⚠️ 内存池订阅断开: ${reason}，${delay / 1000} 秒后重连`);
+        
+        this.pendingReconnectTimer = setTimeout(() => {
+            this.pendingReconnectTimer = null;
+            if (this.pendingActive) {
+                this.connectPending();
+            }
+        }, delay);
+    }
+
+    /**
+     * 关闭当前的内存池订阅连接
+     */
+    closePendingProvider() {
+        const provider = this.pendingProvider;
+        this.pendingProvider = null;
+        if (!provider) {
+            return;
+        }
+        
+        // 移除回调，避免关闭时再次触发重连
+        provider.websocket.onclose = null;
+        provider.websocket.onerror = () => {};
+        Promise.resolve(provider.destroy()).catch(() => {});
+    }
+
+    /**
+     * 停止监听内存池
+     */
+    async stopPendingWatch() {
+        this.pendingActive = false;
+        clearTimeout(this.pendingReconnectTimer);
+        this.pendingReconnectTimer = null;
+        this.closePendingProvider();
+        this.seenPendingHashes.clear();
+    }
+
+    /**
+     * 记录已处理过的内存池交易哈希
+     * @param {string} hash - 交易哈希
+     * @returns {boolean} 是否为首次出现
+     */
+    markPendingSeen(hash) {
+        if (this.seenPendingHashes.has(hash)) {
+            return false;
+        }
+        this.seenPendingHashes.add(hash);
+        
+        // 只保留最近的哈希，避免内存无限增长
+        if (this.seenPendingHashes.size > 10000) {
+            this.seenPendingHashes.delete(this.seenPendingHashes.values().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * 处理内存池中的交易哈希，逐笔查询交易
+     * 同时查询的交易数有上限，超出时丢弃哈希，避免内存池繁忙时请求量失控
+     * @param {ethers.WebSocketProvider} provider - 推送该哈希的订阅连接
+     * @param {string} hash - 交易哈希
+     */
+    async handlePendingHash(provider, hash) {
+        if (this.pendingProvider !== provider || this.seenPendingHashes.has(hash)) {
+            return;
+        }
+        
+        if (this.pendingInFlight >= this.config.pendingMaxInFlight) {
+            this.droppedPendingHashes++;
+            if (this.droppedPendingHashes % 1000 === 1) {
+                this.logger.warn(`⚠️ 内存池交易过多，已丢弃 ${this.droppedPendingHashes} 个哈希`);
+            }
+            return;
+        }
+        this.markPendingSeen(hash);
+        
+        this.pendingInFlight++;
+        try {
+            const transaction = await provider.getTransaction(hash);
+            
+            // 已打包的交易交给区块扫描处理
+            if (!transaction || transaction.blockNumber || !this.isTransactionRelevant(transaction)) {
+                return;
+            }
+            
+            await this.emitPendingTransaction(transaction);
+        } catch (error) {
+            // 停止监听或重连时连接已销毁，请求失败不需要记录
+            if (this.pendingProvider === provider) {
+                this.logger.error(`❌ 处理内存池交易失败 ${hash}:`, error.message);
+            }
+        } finally {
+            this.pendingInFlight--;
+        }
+    }
+
+    /**
+     * 解析监控地址相关的待打包交易并触发 pending 事件
+     * @param {Object} transaction - 交易对象
+     */
+    async emitPendingTransaction(transaction) {
+        const parsed = await this.processor.parsePendingTransaction(transaction);
+        if (parsed) {
+            this.logger.log(`⏳ 内存池发现相关交易: ${transaction.hash}`);
+            this.emit('pending', parsed);
+        }
+    }
+
+    /**
+     * 通过 WebSocket 订阅新区块，断线或长时间无新区块时自动重连
+     * @param {string} wsUrl - WebSocket 节点地址 (ws:// 或 wss://)
+     * @param {Function} onBlock - 新区块回调 (blockNumber) => void
+     */
+    subscribeNewHeads(wsUrl, onBlock) {
+        if (this.headsActive) {
+            return;
+        }
+        
+        this.headsUrl = wsUrl;
+        this.onNewHead = onBlock;
+        this.headsActive = true;
+        this.connectNewHeads();
+        
+        // 看门狗: 长时间没有新区块，视为连接已失效
+        this.headsWatchdog = setInterval(() => {
+            if (this.headsConnected && Date.now() - this.lastHeadAt > this.config.headTimeout) {
+                this.handleHeadsDisconnect('长时间未收到新区块');
+            }
+        }, this.config.headTimeout / 2);
+    }
+
+    /**
+     * 建立新区块订阅连接
+     */
+    connectNewHeads() {
+        try {
+            const provider = new ethers.WebSocketProvider(this.headsUrl);
+            this.headsProvider = provider;
+            
+            provider.websocket.onclose = () => this.handleHeadsDisconnect('连接已关闭');
+            provider.websocket.onerror = (error) => this.handleHeadsDisconnect(error.message || '连接错误');
+            
+            provider.on('block', blockNumber => {
+                this.latestHead = blockNumber;
+                this.lastHeadAt = Date.now();
+                
+                if (!this.headsConnected) {
+                    this.headsConnected = true;
+                    this.headsRetryDelay = 1000;
+                    this.logger.success(`新区块订阅已连接: ${this.headsUrl}`);
+                    this.emit('headsConnected');
+                }
+                
+                this.onNewHead(blockNumber);
+            }).catch(error => this.handleHeadsDisconnect(error.message));
+            
+        } catch (error) {
+            this.handleHeadsDisconnect(error.message);
+        }
+    }
+
+    /**
+     * 处理新区块订阅断开，按指数退避重连
+     * @param {string} reason - 断开原因
+     */
+    handleHeadsDisconnect(reason) {
+        if (!this.headsActive || this.headsReconnectTimer) {
+            return;
+        }
+        
+        const wasConnected = this.headsConnected;
+        this.headsConnected = false;
+        this.closeHeadsProvider();
+        
+        const delay = this.headsRetryDelay;
+        this.headsRetryDelay = Math.min(delay * 2, 60000);
+        this.logger.warn(`⚠️ 新区块订阅断开: ${reason}，${delay / 1000} 秒后重连`);
+        if (wasConnected) {
+            this.emit('headsDisconnected', reason);
+        }
+        
+        this.headsReconnectTimer = setTimeout(() => {
+            this.headsReconnectTimer = null;
+            if (this.headsActive) {
+                this.connectNewHeads();
+            }
+        }, delay);
+    }
+
+    /**
+     * 关闭当前的新区块订阅连接
+     */
+    closeHeadsProvider() {
+        const provider = this.headsProvider;
+        this.headsProvider = null;
+        if (!provider) {
+            return;
+        }
+        
+        // 移除回调，避免关闭时再次触发重连
+        provider.websocket.onclose = null;
+        provider.websocket.onerror = () => {};
+        Promise.resolve(provider.destroy()).catch(() => {});
+    }
+
+    /**
+     * 取消新区块订阅
+     */
+    unsubscribeNewHeads() {
+        this.headsActive = false;
+        this.headsConnected = false;
+        clearInterval(this.headsWatchdog);
+        clearTimeout(this.headsReconnectTimer);
+        this.headsWatchdog = null;
+        this.headsReconnectTimer = null;
+        this.closeHeadsProvider();
+    }
+
+    /**
+     * 新区块订阅是否可用（已连接且最近收到过新区块）
+     * @returns {boolean} 是否可用
+     */
+    isHeadsConnected() {
+        return this.headsConnected && Date.now() - this.lastHeadAt <= this.config.headTimeout;
+    }
+
     /**
      * 获取最新区块号
+     * 新区块订阅可用时直接使用订阅到的区块号，不再请求节点
      * @returns {Promise<number>} 最新区块号
      */
     async getLatestBlockNumber() {
+        if (this.isHeadsConnected() && this.latestHead) {
+            return this.latestHead;
+        }
+        
         try {
             const blockNumber = await this.provider.getBlockNumber();
             this.logger.log(`📦 当前最新区块号: ${blockNumber}`);
@@ -242,7 +643,7 @@ class BlockScanner {
             this.logger.log(`   区块号: ${tx.blockNumber}`)
             this.logger.log(`   时间: ${tx.timestamp}`)
             this.logger.log(`   发送方: ${tx.from}`)
-            this.logger.log(`   接收方: ${tx.to}`)
+            this.logger.log(`   接收方: ${tx.to || `合约创建 ${tx.deployment?.contractAddress || ''}`}`)
             this.logger.log(`   交易类型: ${tx.transactionType}`)
             this.logger.log(`   是否转账: ${tx.isTransfer ? '✅' : '❌'}`)
             this.logger.log(`   是否ERC20: ${tx.isERC20Transaction ? '✅' : '❌'}`)
@@ -275,20 +676,176 @@ class BlockScanner {
         });
     }
 
+    /**
+     * 按配置的扫描策略扫描区块区间
+     * @param {number} startBlock - 起始区块号
+     * @param {number} endBlock - 结束区块号
+     * @param {number} maxConcurrency - 最多同时处理的区块数
+     * @returns {Promise<Array>} 解析后的交易数据
+     */
+    async scanRange(startBlock, endBlock, maxConcurrency = 10) {
+        if (this.config.strategy === 'logs') {
+            return await this.scanLogRange(startBlock, endBlock, maxConcurrency);
+        }
+        return await this.scanBlockRangeParallel(startBlock, endBlock, maxConcurrency);
+    }
+
+    /**
+     * 通过 Transfer 日志扫描区块区间
+     * 按监控地址（作为 from 或 to）查询日志并按交易哈希分组，只获取命中的交易和收据，
+     * 不需要下载完整区块。只能发现产生 Transfer 事件的交易，纯 BNB 转账不会被扫描到
+     * @param {number} startBlock - 起始区块号
+     * @param {number} endBlock - 结束区块号
+     * @param {number} maxConcurrency - 最多同时处理的区块数
+     * @returns {Promise<Array>} 解析后的交易数据
+     */
+    async scanLogRange(startBlock, endBlock, maxConcurrency = 10) {
+        this.logger.log(`⚡ 开始按日志扫描区块区间: ${startBlock} - ${endBlock}`);
+        
+        // 区块号 -> 交易哈希集合；日志查询失败时抛出，整个区间下次重新扫描
+        const hits = await this.getTransferLogHits(startBlock, endBlock);
+        const blockNumbers = Array.from(hits.keys()).sort((a, b) => a - b);
+        const results = [];
+        
+        for (let i = 0; i < blockNumbers.length; i += maxConcurrency) {
+            const batch = blockNumbers.slice(i, i + maxConcurrency);
+            const batchResults = await Promise.all(batch.map(async blockNumber => {
+                try {
+                    return await this.processLogHits(blockNumber, hits.get(blockNumber));
+                } catch (error) {
+                    this.logger.error(`❌ 处理区块 ${blockNumber} 时出错:`, error.message);
+                    this.emit('blockFailed', { blockNumber, reason: error.message });
+                    return [];
+                }
+            }));
+            batchResults.forEach(transactions => results.push(...transactions));
+        }
+        
+        // 记录没有命中的区块的哈希，保证重组窗口内的区块连续，用于检测链重组
+        await this.recordBlockHeaders(startBlock, endBlock, hits, maxConcurrency);
+        
+        const finalResults = await this.applyReorg(results, startBlock, endBlock);
+        this.logger.log(`✅ 日志扫描完成! ${blockNumbers.length} 个区块命中，共找到 ${finalResults.length} 笔相关交易`);
+        return finalResults;
+    }
+
+    /**
+     * 获取区间内（只取重组窗口内的部分）未处理过的区块头并记录哈希
+     * 区块头获取失败不影响扫描结果，只是该区块无法参与重组检测
+     * @param {number} startBlock - 起始区块号
+     * @param {number} endBlock - 结束区块号
+     * @param {Map<number, Set<string>>} hits - 已处理的命中区块
+     * @param {number} maxConcurrency - 最多同时请求的区块数
+     */
+    async recordBlockHeaders(startBlock, endBlock, hits, maxConcurrency = 10) {
+        const fromBlock = Math.max(startBlock, endBlock - this.config.reorgWindow + 1);
+        const blockNumbers = [];
+        for (let blockNumber = fromBlock; blockNumber <= endBlock; blockNumber++) {
+            if (!hits.has(blockNumber)) {
+                blockNumbers.push(blockNumber);
+            }
+        }
+        
+        for (let i = 0; i < blockNumbers.length; i += maxConcurrency) {
+            const batch = blockNumbers.slice(i, i + maxConcurrency);
+            await Promise.all(batch.map(async blockNumber => {
+                try {
+                    const block = await this.provider.getBlock(blockNumber);
+                    if (block) {
+                        this.recordBlock(block, []);
+                    }
+                } catch (error) {
+                    this.logger.warn(`⚠️ 获取区块头失败 ${blockNumber}:`, error.message);
+                }
+            }));
+        }
+    }
+
+    /**
+     * 查询区块区间内监控地址转出或转入的 Transfer 日志（含 ERC1155 TransferSingle / TransferBatch）
+     * @param {number} startBlock - 起始区块号
+     * @param {number} endBlock - 结束区块号
+     * @returns {Promise<Map<number, Set<string>>>} 区块号 -> 交易哈希集合
+     */
+    async getTransferLogHits(startBlock, endBlock) {
+        const hits = new Map();
+        const addressTopics = Array.from(this.watchedAddresses, address => ethers.zeroPadValue(address, 32));
+        const transferTopic = this.processor.TRANSFER_EVENT_SIGNATURE;
+        const erc1155Topics = [this.processor.TRANSFER_SINGLE_EVENT_SIGNATURE, this.processor.TRANSFER_BATCH_EVENT_SIGNATURE];
+        
+        for (let i = 0; i < addressTopics.length; i += this.config.topicChunkSize) {
+            const chunk = addressTopics.slice(i, i + this.config.topicChunkSize);
+            
+            // 分别按 from (topic1) 和 to (topic2) 查询；ERC1155 的 topic1 为 operator，from / to 在 topic2 / topic3
+            const queries = [
+                [transferTopic, chunk],
+                [transferTopic, null, chunk],
+                [erc1155Topics, null, chunk],
+                [erc1155Topics, null, null, chunk]
+            ];
+            for (const topics of queries) {
+                const logs = await this.provider.getLogs({ fromBlock: startBlock, toBlock: endBlock, topics });
+                for (const log of logs) {
+                    if (!hits.has(log.blockNumber)) {
+                        hits.set(log.blockNumber, new Set());
+                    }
+                    hits.get(log.blockNumber).add(log.transactionHash);
+                }
+            }
+        }
+        
+        return hits;
+    }
+
+    /**
+     * 获取日志命中的交易和收据并解析，输出与完整区块扫描相同的格式
+     * @param {number} blockNumber - 区块号
+     * @param {Set<string>} hashes - 命中的交易哈希
+     * @returns {Promise<Array>} 该区块的相关交易
+     */
+    async processLogHits(blockNumber, hashes) {
+        const block = await this.provider.getBlock(blockNumber);
+        if (!block) {
+            throw new Error(`区块 ${blockNumber} 获取失败`);
+        }
+        
+        const transactions = [];
+        const receipts = [];
+        for (const hash of hashes) {
+            const [transaction, receipt] = await Promise.all([
+                this.provider.getTransaction(hash),
+                this.provider.getTransactionReceipt(hash)
+            ]);
+            if (!transaction || !receipt) {
+                throw new Error(`交易 ${hash} 或其收据获取失败`);
+            }
+            transactions.push(transaction);
+            receipts.push(receipt);
+        }
+        
+        const blockContext = this.getBlockContext(block);
+        blockContext.internalTransfers = await this.getInternalTransfers(transactions);
+        const processedTxs = await this.processor.processTransactions(transactions, receipts, blockContext);
+        const results = processedTxs.map(tx => this.processor.formatOutput(tx));
+        this.recordBlock(block, results);
+        return results;
+    }
+
     /**
      * 并行扫描指定区块区间的交易
      * @param {number} startBlock - 起始区块号
      * @param {number} endBlock - 结束区块号
+     * @param {number} maxConcurrency - 最多同时处理的区块数
      * @returns {Promise<Array>} 解析后的交易数据
      */
-    async scanBlockRangeParallel(startBlock, endBlock) {
+    async scanBlockRangeParallel(startBlock, endBlock, maxConcurrency = 10) {
         this.logger.log(`⚡ 开始并行扫描区块区间: ${startBlock} - ${endBlock}`);
         
         const totalBlocks = endBlock - startBlock + 1;
         const blockNumbers = Array.from({ length: totalBlocks }, (_, i) => startBlock + i);
         
         // 并行处理区块，但限制并发数量避免过载
-        const concurrency = Math.min(10, totalBlocks); // 最多同时处理10个区块
+        const concurrency = Math.min(maxConcurrency, totalBlocks);
         const results = [];
         
         for (let i = 0; i < blockNumbers.length; i += concurrency) {
@@ -320,62 +877,352 @@ class BlockScanner {
             }
         }
 
-        this.logger.log(`✅ 并行扫描完成! 共找到 ${results.length} 笔相关交易`);
-        return results;
+        const finalResults = await this.applyReorg(results, startBlock, endBlock);
+        this.logger.log(`✅ 并行扫描完成! 共找到 ${finalResults.length} 笔相关交易`);
+        return finalResults;
+    }
+
+    /**
+     * 检测链重组，替换被回滚区块中的交易
+     * @param {Array} results - 本次区间扫描到的交易
+     * @param {number} startBlock - 起始区块号
+     * @param {number} endBlock - 结束区块号
+     * @returns {Promise<Array>} 修正后的交易（按链上位置排序）
+     */
+    async applyReorg(results, startBlock, endBlock) {
+        const reorg = await this.checkReorg(startBlock, endBlock);
+        if (!reorg) {
+            return results.sort(BlockScanner.compareChainPosition);
+        }
+        
+        this.logger.log(`🔀 已按链重组修正扫描结果`);
+        return results
+            .filter(tx => !reorg.orphanedBlocks.has(tx.blockNumber) && !reorg.delivered.has(tx.hash))
+            .concat(reorg.transactions)
+            .sort(BlockScanner.compareChainPosition);
     }
 
     /**
-     * 处理单个区块
+     * 处理单个区块，失败时发出 blockFailed 事件以便稍后重试
      * @param {number} blockNumber - 区块号
      * @returns {Promise<Array>} 该区块的相关交易
      */
     async processBlock(blockNumber) {
         try {
-            // 获取区块交易
-            const transactions = await this.getBlockTransactions(blockNumber);
+            return await this.scanBlock(blockNumber);
+        } catch (error) {
+            this.logger.error(`❌ 处理区块 ${blockNumber} 时出错:`, error.message);
+            this.emit('blockFailed', { blockNumber, reason: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * 扫描单个区块，区块或任一相关交易的收据获取失败时抛出错误
+     * @param {number} blockNumber - 区块号
+     * @returns {Promise<Array>} 该区块的相关交易
+     */
+    async scanBlock(blockNumber) {
+        const block = await this.getBlock(blockNumber);
+        if (!block) {
+            throw new Error(`区块 ${blockNumber} 获取失败`);
+        }
+        
+        const results = await this.processBlockTransactions(block);
+        this.recordBlock(block, results);
+        return results;
+    }
+
+    /**
+     * 查询区块中向监控地址转入代币或 NFT、或监控地址作为授权方的交易
+     * 监控地址不是交易发起方或接收方时（路由转出、空投、交易所提币、他人提交的 permit），只能通过事件日志发现
+     * @param {Object} block - 区块对象
+     * @returns {Promise<Set<string>>} 交易哈希集合
+     */
+    async getIncomingTransferHashes(block) {
+        const hashes = new Set();
+        const addressTopics = Array.from(this.watchedAddresses, address => ethers.zeroPadValue(address, 32));
+        
+        for (let i = 0; i < addressTopics.length; i += this.config.topicChunkSize) {
+            const logs = await this.provider.getLogs({
+                blockHash: block.hash,
+                topics: [this.processor.TRANSFER_EVENT_SIGNATURE, null, addressTopics.slice(i, i + this.config.topicChunkSize)]
+            });
+            logs.forEach(log => hashes.add(log.transactionHash));
             
-            // 过滤交易
-            const filteredTxs = transactions.filter(tx => this.filterTransaction(tx));
+            // ERC1155 的接收方在 topic3
+            const nftLogs = await this.provider.getLogs({
+                blockHash: block.hash,
+                topics: [
+                    [this.processor.TRANSFER_SINGLE_EVENT_SIGNATURE, this.processor.TRANSFER_BATCH_EVENT_SIGNATURE],
+                    null,
+                    null,
+                    addressTopics.slice(i, i + this.config.topicChunkSize)
+                ]
+            });
+            nftLogs.forEach(log => hashes.add(log.transactionHash));
             
-            if (filteredTxs.length === 0) {
-                return [];
+            if (this.config.detectApprovals) {
+                const approvalLogs = await this.provider.getLogs({
+                    blockHash: block.hash,
+                    topics: [
+                        [this.processor.APPROVAL_EVENT_SIGNATURE, this.processor.APPROVAL_FOR_ALL_EVENT_SIGNATURE],
+                        addressTopics.slice(i, i + this.config.topicChunkSize)
+                    ]
+                });
+                approvalLogs.forEach(log => hashes.add(log.transactionHash));
             }
-            
-            this.logger.log(`📦 区块 ${blockNumber}: 找到 ${filteredTxs.length} 笔相关交易`);
-            
-            // 并行获取交易收据
-            const receiptPromises = filteredTxs.map(tx => this.getTransactionReceipt(tx.hash));
-            const receipts = await Promise.allSettled(receiptPromises);
-            
-            // 处理收据结果，过滤掉未确认的交易
-            const validTransactions = [];
-            const validReceipts = [];
-            
-            receipts.forEach((result, index) => {
-                if (result.status === 'fulfilled' && result.value) {
-                    // 交易已确认，有收据
-                    validTransactions.push(filteredTxs[index]);
-                    validReceipts.push(result.value);
-                } else {
-                    this.logger.warn(`⚠️ 跳过未确认交易 ${filteredTxs[index].hash}:`, 
-                        result.status === 'fulfilled' ? '无收据' : result.reason.message)
+        }
+        
+        return hashes;
+    }
+
+    /**
+     * 通过 trace_block 获取整个区块的内部BNB转账
+     * @param {number} blockNumber - 区块号
+     * @returns {Promise<Map<string, Array>|null>} 交易哈希 -> 内部转账，节点不支持或请求失败时返回 null
+     */
+    async traceBlock(blockNumber) {
+        if (Date.now() < this.traceBlockDisabledUntil || typeof this.provider.send !== 'function') {
+            return null;
+        }
+        
+        try {
+            const traces = await this.provider.send('trace_block', [ethers.toQuantity(blockNumber)]);
+            return this.processor.parseBlockTraces(traces);
+        } catch (error) {
+            if (this.processor.isUnsupportedMethodError(error)) {
+                this.traceBlockDisabledUntil = Date.now() + this.processor.traceRetryInterval;
+                this.logger.warn(`⚠️ 节点不支持 trace_block，${this.processor.traceRetryInterval / 60000} 分钟内改为逐笔追踪内部转账`);
+            } else {
+                this.logger.warn(`⚠️ trace_block ${blockNumber} 失败，改为逐笔追踪:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * 获取交易中合约内部转出的BNB
+     * @param {Array} transactions - 交易列表
+     * @param {Map|null} blockTraces - trace_block 结果（可选），没有时逐笔追踪
+     * @returns {Promise<Map<string, Array>>} 交易哈希 -> 内部转账
+     */
+    async getInternalTransfers(transactions, blockTraces = null) {
+        const transfers = new Map();
+        if (!this.config.includeInternal) {
+            return transfers;
+        }
+        
+        for (const tx of transactions) {
+            const internal = blockTraces
+                ? blockTraces.get(tx.hash)
+                : await this.processor.traceInternalTransfers(tx.hash);
+            if (internal && internal.length > 0) {
+                transfers.set(tx.hash, internal);
+            }
+        }
+        return transfers;
+    }
+
+    /**
+     * 过滤并解析区块中的相关交易
+     * @param {Object} block - 区块对象（包含完整交易）
+     * @returns {Promise<Array>} 该区块的相关交易
+     */
+    async processBlockTransactions(block) {
+        const blockNumber = block.number;
+        
+        // 转入监控地址的代币交易不受金额过滤限制（交易本身的 BNB 金额通常为 0）
+        const incomingHashes = this.config.detectIncoming && this.watchedAddresses.size > 0
+            ? await this.getIncomingTransferHashes(block)
+            : new Set();
+        
+        // 支持 trace_block 时，合约内部转给监控地址的BNB也能发现（如卖出代币时路由转出的BNB）
+        const blockTraces = this.config.includeInternal ? await this.traceBlock(blockNumber) : null;
+        if (blockTraces) {
+            for (const [hash, transfers] of blockTraces) {
+                if (transfers.some(transfer => this.watchedAddresses.has(transfer.to.toLowerCase()))) {
+                    incomingHashes.add(hash);
                 }
-            });
-            
-            if (validTransactions.length === 0) {
-                return [];
             }
+        }
+        
+        // 过滤交易
+        const filteredTxs = block.prefetchedTransactions.filter(tx => incomingHashes.has(tx.hash) || this.filterTransaction(tx));
+        
+        if (filteredTxs.length === 0) {
+            return [];
+        }
+        
+        this.logger.log(`📦 区块 ${blockNumber}: 找到 ${filteredTxs.length} 笔相关交易`);
+        
+        // 并行获取交易收据
+        const receiptPromises = filteredTxs.map(tx => this.getTransactionReceipt(tx.hash));
+        const receipts = await Promise.allSettled(receiptPromises);
+        
+        // 已打包交易都应有收据，缺少收据说明节点请求失败，整个区块稍后重试
+        const validReceipts = [];
+        let failedReceipts = 0;
+        
+        receipts.forEach((result, index) => {
+            if (result.status === 'fulfilled' && result.value) {
+                validReceipts.push(result.value);
+            } else {
+                failedReceipts++;
+                this.logger.warn(`⚠️ 获取交易收据失败 ${filteredTxs[index].hash}:`, 
+                    result.status === 'fulfilled' ? '无收据' : result.reason.message)
+            }
+        });
+        
+        if (failedReceipts > 0) {
+            throw new Error(`区块 ${blockNumber} 有 ${failedReceipts} 笔交易收据获取失败`);
+        }
+        
+        // 处理交易，附带区块时间戳、内部转账等区块信息
+        const blockContext = this.getBlockContext(block);
+        blockContext.internalTransfers = await this.getInternalTransfers(filteredTxs, blockTraces);
+        const processedTxs = await this.processor.processTransactions(filteredTxs, validReceipts, blockContext);
+        
+        // 格式化输出
+        return processedTxs.map(tx => this.processor.formatOutput(tx));
+    }
+
+    /**
+     * 提取交易解析需要的区块信息
+     * @param {Object} block - 区块对象
+     * @returns {Object} { number, hash, timestamp, baseFeePerGas, miner }
+     */
+    getBlockContext(block) {
+        return {
+            number: block.number,
+            hash: block.hash,
+            timestamp: block.timestamp,
+            baseFeePerGas: block.baseFeePerGas ?? null,
+            miner: block.miner || null
+        };
+    }
+
+    /**
+     * 记录已处理区块的哈希和相关交易，超出重组窗口的旧记录会被清理
+     * @param {Object} block - 区块对象
+     * @param {Array} transactions - 该区块的相关交易
+     */
+    recordBlock(block, transactions) {
+        this.recentBlocks.set(block.number, {
+            hash: block.hash,
+            parentHash: block.parentHash,
+            transactions
+        });
+        
+        const oldestBlock = block.number - this.config.reorgWindow;
+        for (const blockNumber of this.recentBlocks.keys()) {
+            if (blockNumber <= oldestBlock) {
+                this.recentBlocks.delete(blockNumber);
+            }
+        }
+    }
+
+    /**
+     * 检查区块区间与已记录区块的父哈希是否连续
+     * @param {number} startBlock - 起始区块号
+     * @param {number} endBlock - 结束区块号
+     * @returns {Promise<Object|null>} 重组处理结果，没有重组时返回 null
+     */
+    async checkReorg(startBlock, endBlock) {
+        for (let blockNumber = startBlock; blockNumber <= endBlock; blockNumber++) {
+            const current = this.recentBlocks.get(blockNumber);
+            const parent = this.recentBlocks.get(blockNumber - 1);
             
-            // 处理已确认的交易
-            const processedTxs = await this.processor.processTransactions(validTransactions, validReceipts);
-            
-            // 格式化输出
-            return processedTxs.map(tx => this.processor.formatOutput(tx));
+            if (!current || !parent || current.parentHash === parent.hash) {
+                continue;
+            }
             
+            this.logger.warn(`⚠️ 检测到链重组: 区块 ${blockNumber} 的父哈希 ${current.parentHash} 与记录的 ${parent.hash} 不一致`);
+            return await this.handleReorg(startBlock, endBlock);
+        }
+        
+        return null;
+    }
+
+    /**
+     * 处理链重组: 找出被回滚的区块并重新扫描
+     * 早于 startBlock 的区块中的交易已经返回给调用方，不在新链上的会通过 reverted 事件通知
+     * @param {number} startBlock - 本次扫描的起始区块号
+     * @param {number} endBlock - 本次扫描的结束区块号
+     * @returns {Promise<Object|null>} { orphanedBlocks, delivered, reverted, transactions }
+     */
+    async handleReorg(startBlock, endBlock) {
+        // 从高到低对比链上区块哈希，直到在本次区间之前找到一致的区块（分叉点）
+        const orphanedBlocks = [];
+        const recordedBlocks = Array.from(this.recentBlocks.keys())
+            .filter(blockNumber => blockNumber <= endBlock)
+            .sort((a, b) => b - a);
+        
+        try {
+            for (const blockNumber of recordedBlocks) {
+                const canonical = await this.provider.getBlock(blockNumber);
+                if (canonical && canonical.hash === this.recentBlocks.get(blockNumber).hash) {
+                    if (blockNumber < startBlock) {
+                        break;
+                    }
+                    continue;
+                }
+                orphanedBlocks.push(blockNumber);
+            }
         } catch (error) {
-            this.logger.error(`❌ 处理区块 ${blockNumber} 时出错:`, error.message);
-            return [];
+            this.logger.error('❌ 查找分叉点失败:', error.message);
+            return null;
+        }
+        
+        if (orphanedBlocks.length === 0) {
+            return null;
+        }
+        
+        orphanedBlocks.sort((a, b) => a - b);
+        this.logger.warn(`⚠️ 链重组影响区块: ${orphanedBlocks.join(', ')}，重新扫描`);
+        
+        // 已返回过的交易（早于本次区间）
+        const delivered = [];
+        for (const blockNumber of orphanedBlocks) {
+            if (blockNumber < startBlock) {
+                delivered.push(...this.recentBlocks.get(blockNumber).transactions);
+            }
+        }
+        
+        // 重新扫描被回滚的区块
+        const replayed = [];
+        for (const blockNumber of orphanedBlocks) {
+            replayed.push(...await this.processBlock(blockNumber));
+        }
+        
+        // 仍在新链上的交易（包括本次区间内未受影响区块的交易）
+        const canonicalHashes = new Set(replayed.map(tx => tx.hash));
+        for (let blockNumber = startBlock; blockNumber <= endBlock; blockNumber++) {
+            const record = this.recentBlocks.get(blockNumber);
+            if (record) {
+                record.transactions.forEach(tx => canonicalHashes.add(tx.hash));
+            }
         }
+        
+        const deliveredHashes = new Set(delivered.map(tx => tx.hash));
+        const reverted = delivered.filter(tx => !canonicalHashes.has(tx.hash));
+        const transactions = replayed.filter(tx => !deliveredHashes.has(tx.hash));
+        
+        reverted.forEach(tx => this.emit('reverted', tx));
+        this.emit('reorg', {
+            orphanedBlocks,
+            reverted,
+            replaced: transactions
+        });
+        
+        this.logger.warn(`⚠️ 链重组处理完成: 回滚 ${reverted.length} 笔交易，新增 ${transactions.length} 笔交易`);
+        
+        return {
+            orphanedBlocks: new Set(orphanedBlocks),
+            delivered: deliveredHashes,
+            reverted,
+            transactions
+        };
     }
 
     /**
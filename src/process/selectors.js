@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_PATH = path.join(__dirname, '../../data/selectors.json');
+
+/**
+ * 方法签名库 - 本地的 4 字节选择器 -> 函数签名映射
+ * 数据保存在 data/selectors.json，可通过 exe.js selector 命令扩充，不请求在线 4byte 服务
+ * 自定义错误的选择器计算方式相同，错误签名库（data/errors.json）也使用该类
+ */
+class SelectorRegistry {
+    /**
+     * @param {string} filePath - 签名库文件路径
+     */
+    constructor(filePath = DEFAULT_PATH) {
+        this.filePath = filePath;
+
+        // 选择器 -> { signature, fragment }
+        this.selectors = new Map();
+        this.load();
+    }
+
+    /**
+     * 从文件加载签名库
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const [selector, signature] of Object.entries(data)) {
+                this.register(signature, selector);
+            }
+        } catch (error) {
+            console.warn('⚠️ 加载方法签名库失败:', error.message);
+        }
+    }
+
+    /**
+     * 注册函数签名（只在内存中）
+     * @param {string} signature - 函数签名，如 transfer(address,uint256)
+     * @param {string} selector - 选择器（不提供则由签名计算）
+     * @returns {string} 选择器
+     */
+    register(signature, selector = null) {
+        const fragment = ethers.FunctionFragment.from(signature);
+        const normalized = fragment.format('sighash');
+        const key = (selector || fragment.selector).toLowerCase();
+        this.selectors.set(key, { signature: normalized, fragment });
+        return key;
+    }
+
+    /**
+     * 添加函数签名并写回文件
+     * @param {string} signature - 函数签名
+     * @returns {Object} { selector, signature, added } added 为 false 表示已存在
+     */
+    add(signature) {
+        const fragment = ethers.FunctionFragment.from(signature);
+        const existing = this.selectors.get(fragment.selector);
+        if (existing && existing.signature === fragment.format('sighash')) {
+            return { selector: fragment.selector, signature: existing.signature, added: false };
+        }
+
+        const selector = this.register(signature);
+        this.save();
+        return { selector, signature: this.selectors.get(selector).signature, added: true };
+    }
+
+    /**
+     * 保存签名库到文件（按选择器排序）
+     */
+    save() {
+        const data = {};
+        Array.from(this.selectors.keys()).sort().forEach(selector => {
+            data[selector] = this.selectors.get(selector).signature;
+        });
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2) + '\n');
+    }
+
+    /**
+     * 查询选择器对应的函数签名
+     * @param {string} selector - 4 字节选择器
+     * @returns {string|null} 函数签名
+     */
+    lookup(selector) {
+        const entry = this.selectors.get((selector || '').toLowerCase());
+        return entry ? entry.signature : null;
+    }
+
+    /**
+     * 解析调用数据
+     * @param {string} data - 交易调用数据
+     * @returns {Object|null} { name, signature, args } 签名库中没有该选择器时为 null；参数无法解析时 args 为 null
+     */
+    decode(data) {
+        if (!data || data.length < 10) {
+            return null;
+        }
+
+        const entry = this.selectors.get(data.slice(0, 10).toLowerCase());
+        if (!entry) {
+            return null;
+        }
+
+        let args = null;
+        try {
+            const decoded = ethers.AbiCoder.defaultAbiCoder().decode(entry.fragment.inputs, ethers.dataSlice(data, 4));
+            args = entry.fragment.inputs.map((input, index) => SelectorRegistry.formatArg(decoded[index]));
+        } catch (error) {
+            // 同一选择器的不同签名或非标准编码，只返回方法名
+        }
+
+        return {
+            name: entry.fragment.name,
+            signature: entry.signature,
+            args
+        };
+    }
+
+    /**
+     * 参数转换为可序列化的值（大数转字符串，数组和元组递归处理）
+     * @param {*} value - 参数值
+     * @returns {*} 转换后的值
+     */
+    static formatArg(value) {
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        if (Array.isArray(value)) {
+            return Array.from(value, item => SelectorRegistry.formatArg(item));
+        }
+        return value;
+    }
+}
+
+module.exports = SelectorRegistry;
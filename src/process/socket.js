@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+
+/**
+ * 自动重连的 WebSocket RPC Provider
+ * 只配置了 WebSocket 节点时用于普通请求: 连接断开或请求超时后按指数退避重建连接，
+ * provider 实例保持不变，扫描器、价格查询等持有的引用无需更换
+ */
+class ReconnectingWebSocketProvider extends ethers.JsonRpcProvider {
+    /**
+     * @param {string} url - WebSocket 节点地址 (ws:// 或 wss://)
+     * @param {Logger} logger - 日志器
+     * @param {Object} options - 配置
+     * @param {number} options.chainId - 链ID，默认 BSC (56)
+     * @param {number} options.timeout - 单次请求超时(ms)，超时视为连接失效
+     */
+    constructor(url, logger, options = {}) {
+        const network = ethers.Network.from(options.chainId || 56);
+        super(url, network, { staticNetwork: network, batchMaxCount: 1 });
+
+        this.url = url;
+        this.logger = logger;
+        this.network = network;
+        this.options = {
+            timeout: options.timeout || 10000,
+            maxRetryDelay: options.maxRetryDelay || 60000
+        };
+
+        this.socket = null;
+        this.socketClosed = null; // 当前连接断开时 reject，让进行中的请求立即失败
+        this.closed = false;
+        this.retryDelay = 1000;
+        this.reconnectTimer = null;
+
+        this.connect();
+    }
+
+    /**
+     * 建立 WebSocket 连接
+     */
+    connect() {
+        try {
+            const socket = new ethers.WebSocketProvider(this.url, this.network, { staticNetwork: this.network });
+            socket.websocket.onclose = () => this.handleDisconnect(socket, '连接已关闭');
+            socket.websocket.onerror = (error) => this.handleDisconnect(socket, error.message || '连接错误');
+            this.socket = socket;
+
+            let reject;
+            const promise = new Promise((resolve, rejectClosed) => { reject = rejectClosed; });
+            promise.catch(() => {});
+            this.socketClosed = { promise, reject };
+        } catch (error) {
+            this.socket = null;
+            this.scheduleReconnect(error.message);
+        }
+    }
+
+    /**
+     * 处理连接断开: 关闭旧连接并安排重连
+     * @param {ethers.WebSocketProvider} socket - 断开的连接
+     * @param {string} reason - 断开原因
+     */
+    handleDisconnect(socket, reason) {
+        if (this.socket !== socket || this.closed) {
+            return;
+        }
+
+        this.socket = null;
+        this.socketClosed.reject(new Error(`连接已断开: ${reason}`));
+        socket.websocket.onclose = null;
+        socket.websocket.onerror = () => {};
+        Promise.resolve(socket.destroy()).catch(() => {});
+
+        this.scheduleReconnect(reason);
+    }
+
+    /**
+     * 按指数退避安排重连
+     * @param {string} reason - 断开原因
+     */
+    scheduleReconnect(reason) {
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+
+        const delay = this.retryDelay;
+        this.retryDelay = Math.min(delay * 2, this.options.maxRetryDelay);
+        this.logger.warn(`⚠️ WebSocket 节点断开: ${reason}，${delay / 1000} 秒后重连`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.closed) {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    /**
+     * 通过当前连接发送 JSON-RPC 请求，重连期间的请求直接失败（由调用方重试）
+     * @param {Object} payload - JSON-RPC 请求
+     * @returns {Promise<Array>} JSON-RPC 响应列表
+     */
+    async _send(payload) {
+        const socket = this.socket;
+        if (!socket) {
+            throw new Error('WebSocket 节点未连接，等待重连');
+        }
+        const closed = this.socketClosed.promise;
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`请求超时 (${this.options.timeout}ms)`)), this.options.timeout);
+        });
+
+        try {
+            const results = await Promise.race([socket._send(payload), timeout, closed]);
+            this.retryDelay = 1000;
+            return results;
+        } catch (error) {
+            // 请求超时或写入失败说明连接已失效
+            this.handleDisconnect(socket, error.message);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * 销毁 provider，关闭连接并停止重连
+     */
+    destroy() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            this.socketClosed.reject(new Error('provider 已销毁'));
+            socket.websocket.onclose = null;
+            socket.websocket.onerror = () => {};
+            Promise.resolve(socket.destroy()).catch(() => {});
+        }
+        super.destroy();
+    }
+}
+
+module.exports = ReconnectingWebSocketProvider;
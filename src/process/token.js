@@ -0,0 +1,234 @@
+const { ethers } = require('ethers');
+
+// name() / symbol() / decimals() 方法签名
+const NAME_SELECTOR = '0x06fdde03';
+const SYMBOL_SELECTOR = '0x95d89b41';
+const DECIMALS_SELECTOR = '0x313ce567';
+
+/**
+ * 代币信息缓存 - 内存 + Redis 两级缓存，多个实例共用
+ * 兼容返回 bytes32 的 name/symbol（如 MKR 这类早期代币），支持手动修正
+ * 内存缓存定时过期后重新读取 Redis，其他进程（如 exe.js token）写入的修正可以生效
+ */
+class TokenCache {
+    /**
+     * @param {Object} provider - 节点 provider
+     * @param {Logger} logger - 日志器
+     * @param {RefRedis} redis - 数据库（可选，不提供则只使用内存缓存）
+     */
+    constructor(provider, logger, redis = null) {
+        this.provider = provider;
+        this.logger = logger;
+        this.redis = redis;
+        this.memoryTtl = parseInt(process.env.TOKEN_CACHE_TTL) || 5 * 60 * 1000; // 内存缓存时间(ms)
+
+        // 代币地址（小写）-> { info: { name, symbol, decimals, override }, expiresAt }
+        this.tokens = new Map();
+
+        // 正在查询的代币，避免同一区块内多条 Transfer 日志重复请求
+        this.inflight = new Map();
+    }
+
+    /**
+     * 设置用于持久化的数据库
+     * @param {RefRedis} redis - 数据库
+     */
+    setRedis(redis) {
+        this.redis = redis;
+    }
+
+    /**
+     * 获取代币信息: 内存 -> Redis -> 链上查询
+     * @param {string} tokenAddress - 代币合约地址
+     * @returns {Promise<Object>} 代币信息 { name, symbol, decimals }
+     */
+    async get(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        const cached = this.tokens.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.info;
+        }
+        if (this.inflight.has(key)) {
+            return await this.inflight.get(key);
+        }
+
+        const lookup = this.load(tokenAddress).finally(() => this.inflight.delete(key));
+        this.inflight.set(key, lookup);
+        return await lookup;
+    }
+
+    /**
+     * 从 Redis 或链上加载代币信息并写入缓存
+     * @param {string} tokenAddress - 代币合约地址
+     * @returns {Promise<Object>} 代币信息
+     */
+    async load(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+
+        if (this.redis) {
+            try {
+                const cached = await this.redis.getTokenInfo(key);
+                if (cached) {
+                    this.remember(key, cached);
+                    return cached;
+                }
+            } catch (error) {
+                this.logger.warn(`⚠️ 读取代币缓存失败 ${tokenAddress}:`, error.message);
+            }
+        }
+
+        const { info, complete } = await this.fetch(tokenAddress);
+
+        // 节点请求失败（非合约回滚）时不缓存，下次重新查询
+        if (complete) {
+            await this.save(key, info);
+        }
+        return info;
+    }
+
+    /**
+     * 写入内存缓存
+     * @param {string} key - 代币地址（小写）
+     * @param {Object} info - 代币信息
+     */
+    remember(key, info) {
+        this.tokens.set(key, { info, expiresAt: Date.now() + this.memoryTtl });
+    }
+
+    /**
+     * 从链上查询代币信息
+     * @param {string} tokenAddress - 代币合约地址
+     * @returns {Promise<Object>} { info, complete } complete 为 false 表示有请求因节点故障失败
+     */
+    async fetch(tokenAddress) {
+        let lastError = null;
+        const call = async (data) => {
+            try {
+                return await this.provider.call({ to: tokenAddress, data });
+            } catch (error) {
+                // 合约没有该方法（回滚）是确定结果，其他错误视为节点故障
+                if (error.code !== 'CALL_EXCEPTION') {
+                    lastError = error;
+                }
+                return '0x';
+            }
+        };
+
+        const [nameData, symbolData, decimalsData] = await Promise.all([
+            call(NAME_SELECTOR),
+            call(SYMBOL_SELECTOR),
+            call(DECIMALS_SELECTOR)
+        ]);
+
+        if (lastError) {
+            this.logger.error(`❌ 获取代币信息失败 ${tokenAddress}:`, lastError.shortMessage || lastError.message);
+        }
+
+        const info = {
+            name: TokenCache.decodeText(nameData) || 'Unknown',
+            symbol: TokenCache.decodeText(symbolData) || 'UNKNOWN',
+            decimals: TokenCache.decodeDecimals(decimalsData),
+            override: false
+        };
+        return { info, complete: !lastError };
+    }
+
+    /**
+     * 写入内存和 Redis
+     * @param {string} tokenAddress - 代币合约地址
+     * @param {Object} info - 代币信息
+     */
+    async save(tokenAddress, info) {
+        const key = tokenAddress.toLowerCase();
+        this.remember(key, info);
+
+        if (this.redis) {
+            try {
+                await this.redis.setTokenInfo(key, info);
+            } catch (error) {
+                this.logger.warn(`⚠️ 保存代币缓存失败 ${tokenAddress}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * 手动修正代币信息，之后不会被链上数据覆盖
+     * @param {string} tokenAddress - 代币合约地址
+     * @param {Object} fields - 要修正的字段 { name, symbol, decimals }
+     * @returns {Promise<Object>} 修正后的代币信息
+     */
+    async setOverride(tokenAddress, fields) {
+        const current = await this.get(tokenAddress);
+        const info = {
+            name: fields.name ?? current.name,
+            symbol: fields.symbol ?? current.symbol,
+            decimals: fields.decimals ?? current.decimals,
+            override: true
+        };
+        await this.save(tokenAddress, info);
+        return info;
+    }
+
+    /**
+     * 清除缓存（包括手动修正）并重新从链上查询
+     * @param {string} tokenAddress - 代币合约地址
+     * @returns {Promise<Object>} 代币信息
+     */
+    async refresh(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        this.tokens.delete(key);
+        if (this.redis) {
+            await this.redis.removeTokenInfo(key);
+        }
+        return await this.get(tokenAddress);
+    }
+
+    /**
+     * 解析 name/symbol 返回值，支持 string 和 bytes32 两种格式
+     * @param {string} data - eth_call 返回数据
+     * @returns {string|null} 文本，无法解析时为 null
+     */
+    static decodeText(data) {
+        if (!data || data === '0x') {
+            return null;
+        }
+
+        let text = null;
+        try {
+            [text] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], data);
+        } catch (error) {
+            // bytes32: 去掉末尾的 0 后按 UTF-8 解析
+            if (ethers.dataLength(data) === 32) {
+                const trimmed = data.replace(/(00)+$/, '');
+                try {
+                    text = trimmed === '0x' ? '' : ethers.toUtf8String(trimmed);
+                } catch (utf8Error) {
+                    text = null;
+                }
+            }
+        }
+
+        // 去掉控制字符和首尾空白
+        text = text ? text.replace(/[\u0000-\u001f\u007f]/g, '').trim() : '';
+        return text || null;
+    }
+
+    /**
+     * 解析 decimals 返回值，无法解析时默认 18
+     * @param {string} data - eth_call 返回数据
+     * @returns {number} 小数位数
+     */
+    static decodeDecimals(data) {
+        if (!data || data === '0x') {
+            return 18;
+        }
+        try {
+            const decimals = Number(ethers.toBigInt(ethers.dataSlice(data, 0, 32)));
+            return decimals <= 255 ? decimals : 18;
+        } catch (error) {
+            return 18;
+        }
+    }
+}
+
+module.exports = TokenCache;
@@ -1,4 +1,6 @@
 const WalletMonitor = require('./main');
+const ScanHub = require('./process/hub');
+const MessageTemplates = require('./notify/text');
 const TelegramBot = require('node-telegram-bot-api');
 require('dotenv').config()
 
@@ -41,6 +43,9 @@ class App_Start {
         // stats命令 - 获取统计信息
         this.bot.onText(/\/stats/, async (msg) => await this.handleStats(msg));
 
+        // pnl命令 - 查询钱包盈亏
+        this.bot.onText(/\/pnl(.*)/, async (msg, match) => await this.handlePnl(msg, match));
+
         // help命令 - 显示帮助信息
         this.bot.onText(/\/help/, async (msg) => await this.handleHelp(msg));
     }
@@ -145,6 +150,27 @@ class App_Start {
         }
     }
 
+    async handlePnl(msg, match) {
+        const chatId = msg.chat.id;
+        const address = match[1].trim();
+        
+        if (!this.checkAddressFormat(address)) {
+            await this.bot.sendMessage(chatId, '❌ 用法: /pnl <钱包地址>');
+            return;
+        }
+        
+        const walletMonitor = await this.checkAndGetWalletMonitor(chatId);
+        if (!walletMonitor) return;
+
+        const result = await walletMonitor.getWalletPnl(address);
+        if (result.success) {
+            const formattedData = this.formatPnlResult(result.data);
+            await this.bot.sendMessage(chatId, `💰 盈亏统计:\n\n${formattedData}`);
+        } else {
+            await this.bot.sendMessage(chatId, `❌ ${result.message}`);
+        }
+    }
+
     async handleHelp(msg) {
         const chatId = msg.chat.id;
         await this.bot.sendMessage(chatId, `
@@ -155,6 +181,7 @@ class App_Start {
 /query [钱包地址] - 查询监控地址（不提供地址则查询所有）
 /list - 列出所有监控地址
 /stats - 获取统计信息
+/pnl <钱包地址> - 查询钱包持仓和盈亏
 /help - 显示帮助信息
 
 示例:
@@ -163,7 +190,8 @@ class App_Start {
 /query 0x1234...
 /query
 /list
-/stats`);
+/stats
+/pnl 0x1234...`);
     }
 
 /***********************************************************************************
@@ -213,7 +241,36 @@ ID: ${data.nodeInfo?.id || 'N/A'}`;
 处理区块数: ${data.stats.processedBlocks}
 发现交易数: ${data.stats.foundTransactions}
 发送通知数: ${data.stats.sentNotifications}
-新钱包数: ${data.stats.newWalletsAdded}`;
+新钱包数: ${data.stats.newWalletsAdded}
+重组回滚数: ${data.stats.revertedTransactions}
+重试队列区块数: ${data.stats.retryQueue}
+跳过区块数: ${data.stats.skippedBlocks}
+风险授权提醒数: ${data.stats.approvalAlerts}
+新币买入提醒数: ${data.stats.earlyBuyAlerts}${MessageTemplates.formatRpcEndpoints(data.stats.rpcEndpoints)}`;
+    }
+
+    formatPnlResult(data) {
+        let result = `钱包: ${data.name || 'Unknown'}
+地址: ${data.wallet}
+已实现盈亏: ${MessageTemplates.formatPnl(data.totals.realizedBnb, data.totals.realizedUsd)}
+未实现盈亏: ${MessageTemplates.formatPnl(data.totals.unrealizedBnb, data.totals.unrealizedUsd)}
+持仓价值: $${MessageTemplates.formatCompactAmount(data.totals.valueUsd, 2)} (成本 $${MessageTemplates.formatCompactAmount(data.totals.costUsd, 2)})`;
+        
+        if (data.positions.length === 0) {
+            return `${result}\n\n📋 暂无买卖记录`;
+        }
+        
+        result += '\n\n📋 代币明细:\n';
+        data.positions.forEach((position, index) => {
+            result += `${index + 1}. ${position.symbol} (买入${position.buys}次 / 卖出${position.sells}次)\n`;
+            if (position.amount > 0) {
+                result += `   持仓: ${MessageTemplates.formatCompactAmount(position.amount)} · 成本 ${MessageTemplates.formatCompactAmount(position.costBnb)} BNB\n`;
+                result += `   未实现: ${position.unrealizedUsd === null ? '无法获取价格' : MessageTemplates.formatPnl(position.unrealizedBnb, position.unrealizedUsd)}\n`;
+            }
+            result += `   已实现: ${MessageTemplates.formatPnl(position.realizedBnb, position.realizedUsd)}\n`;
+        });
+        
+        return result.trim();
     }
 
     async checkAndGetWalletMonitor(chatId) {
@@ -238,30 +295,37 @@ if (require.main === module) {
         const me_prefix = 'my_wallet:';
         const me_chatId = '-4791455791';
 
+        // 三个实例共用一个扫描中心，每个区块只获取一次
+        const hub = new ScanHub({ instanceName: 'hub' });
+
         const cengji_walletMonitor = new WalletMonitor({
             enableNewWalletDetection: true,
             redisPrefix: cengji_prefix,
             chatId: cengji_chatId,
-            instanceName: 'cengji'
+            instanceName: 'cengji',
+            hub
         });
         
         const noKey_walletMonitor = new WalletMonitor({
             enableNewWalletDetection: false,
             redisPrefix: noKey_prefix,
             chatId: noKey_chatId,
-            instanceName: 'noKey'
+            instanceName: 'noKey',
+            hub
         });
         
         const me_walletMonitor = new WalletMonitor({
             enableNewWalletDetection: false,
             redisPrefix: me_prefix,
             chatId: me_chatId,
-            instanceName: 'me'
+            instanceName: 'me',
+            hub
         });
 
         await cengji_walletMonitor.start();
         await noKey_walletMonitor.start();
         await me_walletMonitor.start();
+        await hub.start();
 
         const map = [
             {
@@ -287,6 +351,7 @@ if (require.main === module) {
             await cengji_walletMonitor.stop();
             await noKey_walletMonitor.stop();
             await me_walletMonitor.stop();
+            await hub.stop();
             process.exit(0);
         });
 
@@ -295,6 +360,7 @@ if (require.main === module) {
             await cengji_walletMonitor.stop();
             await noKey_walletMonitor.stop();
             await me_walletMonitor.stop();
+            await hub.stop();
             process.exit(0);
         });
     })();
@@ -0,0 +1,234 @@
+const assert = require('assert');
+const PositionLedger = require('../src/process/ledger');
+
+/**
+ * 持仓账本测试
+ * 使用内存数据库和固定价格，验证平均成本法的成本、已实现盈亏和每笔买卖只记录一次
+ */
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+const USDT = '0x55d398326f99059ff775485246999027b3197955';
+
+const silentLogger = {
+    log() {},
+    success() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+/**
+ * 内存数据库: 只实现账本用到的方法
+ */
+class MemoryRedis {
+    constructor() {
+        this.positions = new Map();
+        this.pnlTrades = new Set();
+    }
+
+    async getPosition(wallet, token) {
+        const position = this.positions.get(`${wallet}:${token.toLowerCase()}`);
+        return position ? { ...position } : null;
+    }
+
+    async setPosition(wallet, token, position, tradeId = null) {
+        this.positions.set(`${wallet}:${token.toLowerCase()}`, { ...position, token: token.toLowerCase() });
+        if (tradeId) {
+            this.pnlTrades.add(`${wallet}:${tradeId.toLowerCase()}`);
+        }
+    }
+
+    async getWalletPositions(wallet) {
+        return [...this.positions.entries()]
+            .filter(([key]) => key.startsWith(`${wallet}:`))
+            .map(([, position]) => ({ ...position }));
+    }
+
+    async isPnlTrade(wallet, tradeId) {
+        return this.pnlTrades.has(`${wallet}:${tradeId.toLowerCase()}`);
+    }
+}
+
+/**
+ * 固定价格: BNB 500 美元，稳定币 1 美元，代币价格可调整
+ */
+class FixedPrices {
+    constructor() {
+        this.tokenPrice = 0.01;
+        this.bnbAvailable = true;
+    }
+
+    async getPrice(tokenAddress) {
+        if (!tokenAddress) {
+            if (!this.bnbAvailable) {
+                return null;
+            }
+            return 500;
+        }
+        return tokenAddress.toLowerCase() === USDT ? 1 : this.tokenPrice;
+    }
+}
+
+function buy(tokenAmount, bnbAmount) {
+    return {
+        direction: 'buy',
+        tokenIn: { tokenAddress: null, tokenSymbol: 'BNB', amount: bnbAmount },
+        tokenOut: { tokenAddress: TOKEN, tokenSymbol: 'TKN', amount: tokenAmount }
+    };
+}
+
+function sell(tokenAmount, usdtAmount) {
+    return {
+        direction: 'sell',
+        tokenIn: { tokenAddress: TOKEN, tokenSymbol: 'TKN', amount: tokenAmount },
+        tokenOut: { tokenAddress: USDT, tokenSymbol: 'USDT', amount: usdtAmount }
+    };
+}
+
+function createLedger() {
+    const redis = new MemoryRedis();
+    const prices = new FixedPrices();
+    return { redis, prices, ledger: new PositionLedger(redis, prices, silentLogger) };
+}
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+}
+
+/**
+ * 两次买入按平均成本计算，部分卖出按比例扣减成本
+ */
+async function testAverageCost() {
+    const { redis, ledger } = createLedger();
+
+    await ledger.recordSwaps(WALLET, { hash: '0xa1', blockNumber: 1 }, [buy('1000', '1')]);
+    await ledger.recordSwaps(WALLET, { hash: '0xa2', blockNumber: 2 }, [buy('1000', '3')]);
+
+    let position = await redis.getPosition(WALLET, TOKEN);
+    near(position.amount, 2000, '持仓数量');
+    near(position.costBnb, 4, 'BNB 成本');
+    near(position.costUsd, 2000, '美元成本');
+
+    // 卖出一半，换回 1500 USDT（3 BNB），平均成本 1000 美元
+    const [trade] = await ledger.recordSwaps(WALLET, { hash: '0xa3', blockNumber: 3 }, [sell('1000', '1500')]);
+    near(trade.realizedUsd, 500, '已实现美元盈亏');
+    near(trade.realizedBnb, 1, '已实现 BNB 盈亏');
+    near(trade.realizedPercent, 50, '盈亏比例');
+
+    position = await redis.getPosition(WALLET, TOKEN);
+    near(position.amount, 1000, '剩余持仓');
+    near(position.costUsd, 1000, '剩余成本');
+    near(position.realizedUsd, 500, '累计已实现盈亏');
+    assert.strictEqual(position.buys, 2);
+    assert.strictEqual(position.sells, 1);
+}
+
+/**
+ * 卖出超过账本持仓时，超出部分（监控前买入）不计成本
+ */
+async function testSellBeyondPosition() {
+    const { redis, ledger } = createLedger();
+
+    await ledger.recordSwaps(WALLET, { hash: '0xb1', blockNumber: 1 }, [buy('100', '1')]);
+    const [trade] = await ledger.recordSwaps(WALLET, { hash: '0xb2', blockNumber: 2 }, [sell('200', '1000')]);
+
+    // 只有 100 个有成本（500 美元），对应一半卖出所得 500 美元
+    near(trade.realizedUsd, 0, '超出部分不计盈亏');
+
+    const position = await redis.getPosition(WALLET, TOKEN);
+    assert.strictEqual(position.amount, 0, '清仓后数量归零');
+    assert.strictEqual(position.costUsd, 0, '清仓后成本归零');
+}
+
+/**
+ * 同一交易重复记录（重启回放、多个实例）只计入一次
+ */
+async function testRecordOnce() {
+    const { redis, ledger } = createLedger();
+    const tx = { hash: '0xc1', blockNumber: 1 };
+
+    assert.strictEqual((await ledger.recordSwaps(WALLET, tx, [buy('100', '1')])).length, 1);
+    assert.deepStrictEqual(await ledger.recordSwaps(WALLET, tx, [buy('100', '1')]), []);
+
+    const position = await redis.getPosition(WALLET, TOKEN);
+    near(position.amount, 100, '重复记录不增加持仓');
+}
+
+/**
+ * 第二笔买卖写入失败时，再次处理只补记第二笔，第一笔不重复计入
+ */
+async function testRetryAfterFailure() {
+    const { redis, ledger } = createLedger();
+    const tx = { hash: '0xe1', blockNumber: 1 };
+    const swaps = [buy('100', '1'), buy('50', '1')];
+
+    const setPosition = redis.setPosition.bind(redis);
+    let writes = 0;
+    redis.setPosition = async (...args) => {
+        if (++writes === 2) {
+            throw new Error('connection lost');
+        }
+        return setPosition(...args);
+    };
+    await assert.rejects(ledger.recordSwaps(WALLET, tx, swaps));
+    assert.strictEqual(await redis.isPnlTrade(WALLET, '0xe1:0'), true);
+    assert.strictEqual(await redis.isPnlTrade(WALLET, '0xe1:1'), false, '失败的买卖不应被标记');
+
+    redis.setPosition = setPosition;
+    assert.strictEqual((await ledger.recordSwaps(WALLET, tx, swaps)).length, 1, '只补记失败的买卖');
+
+    const position = await redis.getPosition(WALLET, TOKEN);
+    near(position.amount, 150, '重新记录后的持仓');
+    assert.strictEqual(position.buys, 2);
+}
+
+/**
+ * 无法计价的买卖不标记，再次处理时补记
+ */
+async function testUnpricedSwapNotMarked() {
+    const { redis, prices, ledger } = createLedger();
+    const tx = { hash: '0xf1', blockNumber: 1 };
+
+    prices.bnbAvailable = false;
+    assert.deepStrictEqual(await ledger.recordSwaps(WALLET, tx, [buy('100', '1')]), []);
+    assert.strictEqual(await redis.isPnlTrade(WALLET, '0xf1:0'), false, '无法计价的买卖不应被标记');
+
+    prices.bnbAvailable = true;
+    assert.strictEqual((await ledger.recordSwaps(WALLET, tx, [buy('100', '1')])).length, 1);
+    near((await redis.getPosition(WALLET, TOKEN)).amount, 100, '补记后的持仓');
+}
+
+/**
+ * 未实现盈亏按当前价格计算
+ */
+async function testUnrealizedPnl() {
+    const { prices, ledger } = createLedger();
+
+    await ledger.recordSwaps(WALLET, { hash: '0xd1', blockNumber: 1 }, [buy('1000', '1')]);
+    prices.tokenPrice = 1;
+
+    const { totals } = await ledger.getWalletPnl(WALLET);
+    near(totals.valueUsd, 1000, '持仓价值');
+    near(totals.unrealizedUsd, 500, '未实现美元盈亏');
+    near(totals.unrealizedBnb, 1, '未实现 BNB 盈亏');
+}
+
+async function run() {
+    await testAverageCost();
+    await testSellBeyondPosition();
+    await testRecordOnce();
+    await testRetryAfterFailure();
+    await testUnpricedSwapNotMarked();
+    await testUnrealizedPnl();
+    console.log('✅ 持仓账本测试通过');
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ 持仓账本测试失败:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };
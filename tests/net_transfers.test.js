@@ -0,0 +1,98 @@
+const assert = require('assert');
+const MessageTemplates = require('../src/notify/text');
+
+/**
+ * 净变化合并测试
+ * 验证 netTransfers 把同一资产的收发合并为净变化: WBNB 与 BNB 合并、净变化为 0 的中间转账去掉
+ */
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const ROUTER = '0x2222222222222222222222222222222222222222';
+const POOL = '0x3333333333333333333333333333333333333333';
+const WBNB = '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+
+function bnb(formattedValue, from, to) {
+    return { type: 'bnb', formattedValue, from, to };
+}
+
+function wbnb(formattedValue, from, to) {
+    return { type: 'bnb', wrapped: true, tokenAddress: WBNB, tokenSymbol: 'WBNB', formattedValue, from, to };
+}
+
+function token(formattedValue, from, to, decimals = 18) {
+    return { type: 'token', tokenAddress: TOKEN, tokenSymbol: 'TKN', decimals, formattedValue, from, to };
+}
+
+/**
+ * 支出 BNB、收到 WBNB 时合并为一笔 BNB 净支出
+ */
+function testWrappedNativeMergedWithBnb() {
+    const net = MessageTemplates.netTransfers(
+        [wbnb('0.4', ROUTER, WALLET)],
+        [bnb('1.0', WALLET, ROUTER)]
+    );
+
+    assert.strictEqual(net.received.length, 0);
+    assert.strictEqual(net.sent.length, 1);
+    assert.strictEqual(net.sent[0].type, 'bnb');
+    assert.strictEqual(net.sent[0].formattedValue, '0.6');
+    assert.strictEqual(net.sent[0].wrapped, false, '混合 BNB 和 WBNB 时按 BNB 展示');
+    assert.strictEqual(net.sent[0].to, ROUTER);
+}
+
+/**
+ * 只有 WBNB 时保留 wrapped 标记
+ */
+function testWrappedOnlyKeepsFlag() {
+    const net = MessageTemplates.netTransfers([wbnb('2', POOL, WALLET)], []);
+
+    assert.strictEqual(net.received.length, 1);
+    assert.strictEqual(net.received[0].wrapped, true);
+    assert.strictEqual(net.received[0].formattedValue, '2.0');
+}
+
+/**
+ * 转入后全部转出的代币净变化为 0，不再展示
+ */
+function testZeroNetDropped() {
+    const net = MessageTemplates.netTransfers(
+        [token('100', POOL, WALLET), bnb('0.5', ROUTER, WALLET)],
+        [token('100', WALLET, ROUTER)]
+    );
+
+    assert.deepStrictEqual(net.sent, []);
+    assert.strictEqual(net.received.length, 1);
+    assert.strictEqual(net.received[0].type, 'bnb');
+}
+
+/**
+ * 按代币小数位数精确相减；对方不唯一时不保留对方地址
+ */
+function testDecimalsAndCounterparty() {
+    const net = MessageTemplates.netTransfers(
+        [token('1.5', POOL, WALLET, 6), token('0.25', ROUTER, WALLET, 6)],
+        [token('0.75', WALLET, ROUTER, 6)]
+    );
+
+    assert.strictEqual(net.received.length, 1);
+    assert.strictEqual(net.received[0].formattedValue, '1.0');
+    assert.strictEqual(net.received[0].from, null, '多个来源时不显示来源地址');
+}
+
+async function run() {
+    testWrappedNativeMergedWithBnb();
+    testWrappedOnlyKeepsFlag();
+    testZeroNetDropped();
+    testDecimalsAndCounterparty();
+    console.log('✅ 净变化合并测试通过');
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ 净变化合并测试失败:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const TransactionProcessor = require('../src/process/process');
+
+/**
+ * NFT 转账解析测试
+ * 验证 ERC721 Transfer、ERC1155 TransferSingle / TransferBatch 的解析
+ */
+
+const COLLECTION = '0x5555555555555555555555555555555555555555';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const OPERATOR = '0x3333333333333333333333333333333333333333';
+
+const silentLogger = {
+    log() {},
+    success() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function addressTopic(address) {
+    return ethers.zeroPadValue(address, 32);
+}
+
+/**
+ * 模拟节点: name() / symbol() 返回 string，没有 decimals()
+ */
+class TokenProvider {
+    async call({ data }) {
+        if (data === '0x06fdde03') {
+            return coder.encode(['string'], ['Test Collection']);
+        }
+        if (data === '0x95d89b41') {
+            return coder.encode(['string'], ['TC']);
+        }
+        const error = new Error('execution reverted');
+        error.code = 'CALL_EXCEPTION';
+        throw error;
+    }
+}
+
+/**
+ * ERC721 Transfer、ERC1155 TransferSingle / TransferBatch
+ */
+async function testParseNftTransferEvent() {
+    const processor = new TransactionProcessor(new TokenProvider(), silentLogger);
+
+    const erc721 = await processor.parseNftTransferEvent({
+        address: COLLECTION,
+        topics: [processor.TRANSFER_EVENT_SIGNATURE, addressTopic(ALICE), addressTopic(BOB), ethers.toBeHex(42, 32)],
+        data: '0x',
+        logIndex: 3
+    });
+    assert.strictEqual(erc721.standard, 'erc721');
+    assert.strictEqual(erc721.from, ALICE);
+    assert.strictEqual(erc721.to, BOB);
+    assert.deepStrictEqual(erc721.tokenIds, ['42']);
+    assert.deepStrictEqual(erc721.amounts, ['1']);
+    assert.strictEqual(erc721.collectionSymbol, 'TC');
+
+    const single = await processor.parseNftTransferEvent({
+        address: COLLECTION,
+        topics: [processor.TRANSFER_SINGLE_EVENT_SIGNATURE, addressTopic(OPERATOR), addressTopic(ALICE), addressTopic(BOB)],
+        data: coder.encode(['uint256', 'uint256'], [7, 5]),
+        logIndex: 4
+    });
+    assert.strictEqual(single.standard, 'erc1155');
+    assert.strictEqual(single.from, ALICE, 'from 在 topic2，topic1 为 operator');
+    assert.strictEqual(single.to, BOB);
+    assert.deepStrictEqual(single.tokenIds, ['7']);
+    assert.deepStrictEqual(single.amounts, ['5']);
+
+    const batch = await processor.parseNftTransferEvent({
+        address: COLLECTION,
+        topics: [processor.TRANSFER_BATCH_EVENT_SIGNATURE, addressTopic(OPERATOR), addressTopic(ethers.ZeroAddress), addressTopic(BOB)],
+        data: coder.encode(['uint256[]', 'uint256[]'], [[1, 2], [10, 20]]),
+        logIndex: 5
+    });
+    assert.strictEqual(batch.from, ethers.ZeroAddress);
+    assert.deepStrictEqual(batch.tokenIds, ['1', '2']);
+    assert.deepStrictEqual(batch.amounts, ['10', '20']);
+
+    const broken = await processor.parseNftTransferEvent({
+        address: COLLECTION,
+        topics: [processor.TRANSFER_SINGLE_EVENT_SIGNATURE, addressTopic(OPERATOR), addressTopic(ALICE), addressTopic(BOB)],
+        data: '0x1234',
+        logIndex: 6
+    });
+    assert.strictEqual(broken, null, '数据不完整时返回 null');
+}
+
+async function run() {
+    await testParseNftTransferEvent();
+    console.log('✅ NFT 转账解析测试通过');
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ NFT 转账解析测试失败:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const TransactionProcessor = require('../src/process/process');
+
+/**
+ * 失败原因解析测试
+ * 验证 Error(string)、Panic(uint256)、签名库中的自定义错误和未知错误
+ */
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+
+const silentLogger = {
+    log() {},
+    success() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function testDecodeRevertReason() {
+    const processor = new TransactionProcessor({}, silentLogger);
+
+    const errorData = '0x08c379a0' + coder.encode(['string'], ['Pancake: K']).slice(2);
+    assert.strictEqual(processor.decodeRevertReason(errorData), 'Pancake: K');
+
+    const panicData = '0x4e487b71' + coder.encode(['uint256'], [0x11]).slice(2);
+    assert.strictEqual(processor.decodeRevertReason(panicData), 'Panic(0x11): arithmetic overflow or underflow');
+
+    const customData = '0x118cdaa7' + coder.encode(['address'], [ALICE]).slice(2);
+    assert.strictEqual(processor.decodeRevertReason(customData), `OwnableUnauthorizedAccount(${ALICE})`);
+
+    assert.strictEqual(processor.decodeRevertReason('0x1425ea42'), 'FailedInnerCall');
+    assert.strictEqual(processor.decodeRevertReason('0x08c379a0'), 'unknown error 0x08c379a0', '返回数据不完整时按未知错误处理');
+    assert.strictEqual(processor.decodeRevertReason('0xdeadbeef'), 'unknown error 0xdeadbeef');
+    assert.strictEqual(processor.decodeRevertReason('0x'), null);
+}
+
+async function run() {
+    testDecodeRevertReason();
+    console.log('✅ 失败原因解析测试通过');
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ 失败原因解析测试失败:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };
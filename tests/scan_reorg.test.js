@@ -0,0 +1,193 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const BlockScanner = require('../src/process/scan');
+
+/**
+ * 链重组测试
+ * 使用模拟节点提供分叉链，验证扫描器能检测重组、重新扫描并发出回滚事件
+ */
+
+const WATCHED = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+
+const silentLogger = {
+    log() {},
+    success() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+function makeHash(label) {
+    return ethers.id(label);
+}
+
+function makeTx(label, blockNumber, from = WATCHED) {
+    return {
+        hash: makeHash(`tx:${label}`),
+        blockNumber,
+        from,
+        to: OTHER,
+        value: ethers.parseEther('1'),
+        data: '0x',
+        gasPrice: ethers.parseUnits('1', 'gwei'),
+        gasLimit: 21000n
+    };
+}
+
+/**
+ * 模拟节点: 保存多条分支，canonical 指向当前主链
+ */
+class ForkedChainProvider {
+    constructor() {
+        this.blocks = new Map(); // 区块号 -> 区块
+        this.receipts = new Map();
+    }
+
+    addBlock(number, branch, parentHash, transactions = []) {
+        const block = {
+            number,
+            hash: makeHash(`block:${branch}:${number}`),
+            parentHash,
+            timestamp: 1700000000 + number * 3,
+            prefetchedTransactions: transactions
+        };
+        this.blocks.set(number, block);
+        transactions.forEach(tx => this.receipts.set(tx.hash, { status: 1, gasUsed: 21000n, logs: [] }));
+        return block;
+    }
+
+    async getBlock(number) {
+        return this.blocks.get(number) || null;
+    }
+
+    async getTransactionReceipt(hash) {
+        return this.receipts.get(hash) || null;
+    }
+
+    async getTransaction(hash) {
+        for (const block of this.blocks.values()) {
+            const transaction = block.prefetchedTransactions.find(tx => tx.hash === hash);
+            if (transaction) {
+                return transaction;
+            }
+        }
+        return null;
+    }
+
+    async getCode() {
+        return '0x';
+    }
+
+    // 按日志扫描时，主链区块中的每笔交易都视为命中监控地址的 Transfer 日志
+    async getLogs(filter) {
+        if (filter.blockHash) {
+            return [];
+        }
+        const logs = [];
+        for (let number = filter.fromBlock; number <= filter.toBlock; number++) {
+            const block = this.blocks.get(number);
+            (block ? block.prefetchedTransactions : []).forEach(tx => logs.push({ blockNumber: number, transactionHash: tx.hash }));
+        }
+        return logs;
+    }
+}
+
+async function testReorgDetection() {
+    const provider = new ForkedChainProvider();
+    const scanner = new BlockScanner(provider, silentLogger);
+    scanner.addWatchedAddress(WATCHED);
+    scanner.setConfig({ minValue: 0n });
+
+    // 原始链 A: 100 - 102，区块 102 中有监控地址的交易 a1
+    const a100 = provider.addBlock(100, 'a', makeHash('genesis'));
+    const a101 = provider.addBlock(101, 'a', a100.hash);
+    const a1 = makeTx('a1', 102);
+    provider.addBlock(102, 'a', a101.hash, [a1]);
+
+    const first = await scanner.scanBlockRangeParallel(100, 102);
+    assert.deepStrictEqual(first.map(tx => tx.hash), [a1.hash]);
+
+    // 分叉: 区块 102 被替换为 b 分支，a1 消失，出现 b1
+    const b1 = makeTx('b1', 102);
+    const b102 = provider.addBlock(102, 'b', a101.hash, [b1]);
+    provider.addBlock(103, 'b', b102.hash);
+
+    const reverted = [];
+    scanner.on('reverted', tx => reverted.push(tx.hash));
+
+    const second = await scanner.scanBlockRangeParallel(103, 103);
+    assert.deepStrictEqual(reverted, [a1.hash], 'a1 应被回滚');
+    assert.deepStrictEqual(second.map(tx => tx.hash), [b1.hash], 'b1 应作为新交易返回');
+
+    // 再次扫描不应重复检测到重组
+    provider.addBlock(104, 'b', provider.blocks.get(103).hash);
+    const third = await scanner.scanBlockRangeParallel(104, 104);
+    assert.deepStrictEqual(third, []);
+    assert.strictEqual(reverted.length, 1);
+}
+
+async function testReorgKeepsReincludedTransaction() {
+    const provider = new ForkedChainProvider();
+    const scanner = new BlockScanner(provider, silentLogger);
+    scanner.addWatchedAddress(WATCHED);
+    scanner.setConfig({ minValue: 0n });
+
+    const a200 = provider.addBlock(200, 'a', makeHash('genesis'));
+    const tx = makeTx('moved', 201);
+    provider.addBlock(201, 'a', a200.hash, [tx]);
+    await scanner.scanBlockRangeParallel(200, 201);
+
+    // 分叉后同一笔交易被重新打包进新的 201
+    const b201 = provider.addBlock(201, 'b', a200.hash, [tx]);
+    provider.addBlock(202, 'b', b201.hash);
+
+    const reverted = [];
+    scanner.on('reverted', item => reverted.push(item.hash));
+
+    const results = await scanner.scanBlockRangeParallel(202, 202);
+    assert.deepStrictEqual(reverted, [], '重新打包的交易不应回滚');
+    assert.deepStrictEqual(results, [], '已推送过的交易不应重复返回');
+}
+
+async function testReorgDetectionWithLogStrategy() {
+    const provider = new ForkedChainProvider();
+    const scanner = new BlockScanner(provider, silentLogger);
+    scanner.addWatchedAddress(WATCHED);
+    scanner.setConfig({ minValue: 0n, strategy: 'logs' });
+
+    // 只有区块 302 有命中的交易，其他区块也要记录哈希才能检测重组
+    const a300 = provider.addBlock(300, 'a', makeHash('genesis'));
+    const a301 = provider.addBlock(301, 'a', a300.hash);
+    const a1 = makeTx('logs-a1', 302);
+    provider.addBlock(302, 'a', a301.hash, [a1]);
+
+    const first = await scanner.scanRange(300, 302);
+    assert.deepStrictEqual(first.map(tx => tx.hash), [a1.hash]);
+
+    const b302 = provider.addBlock(302, 'b', a301.hash);
+    provider.addBlock(303, 'b', b302.hash);
+
+    const reverted = [];
+    scanner.on('reverted', tx => reverted.push(tx.hash));
+
+    const second = await scanner.scanRange(303, 303);
+    assert.deepStrictEqual(reverted, [a1.hash], '按日志扫描时 a1 也应被回滚');
+    assert.deepStrictEqual(second, []);
+}
+
+async function run() {
+    await testReorgDetection();
+    await testReorgKeepsReincludedTransaction();
+    await testReorgDetectionWithLogStrategy();
+    console.log('✅ 链重组测试通过');
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ 链重组测试失败:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const TokenCache = require('../src/process/token');
+
+/**
+ * 代币信息解析测试
+ * 验证 name/symbol 返回值的 string 与 bytes32 两种格式
+ */
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * string 与 bytes32 两种返回格式
+ */
+function testDecodeText() {
+    assert.strictEqual(TokenCache.decodeText(coder.encode(['string'], ['Wrapped BNB'])), 'Wrapped BNB');
+    assert.strictEqual(TokenCache.decodeText(ethers.encodeBytes32String('MKR')), 'MKR', 'bytes32 去掉末尾的 0');
+    assert.strictEqual(TokenCache.decodeText(coder.encode(['string'], [' A\u0000B\n '])), 'AB', '去掉控制字符和首尾空白');
+    assert.strictEqual(TokenCache.decodeText(ethers.ZeroHash), null);
+    assert.strictEqual(TokenCache.decodeText('0x'), null);
+    assert.strictEqual(TokenCache.decodeText(null), null);
+}
+
+async function run() {
+    testDecodeText();
+    console.log('✅ 代币信息解析测试通过');
+}
+
+if (require.main === module) {
+    run().catch(error => {
+        console.error('❌ 代币信息解析测试失败:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };